@@ -1,11 +1,27 @@
+import { AsyncLocalStorage } from "node:async_hooks";
 import { spawn, spawnSync } from "node:child_process";
-import { dirname } from "node:path";
+import {
+  closeSync,
+  createReadStream,
+  createWriteStream,
+  openSync,
+  readFileSync,
+  writeFileSync,
+} from "node:fs";
+import { tmpdir } from "node:os";
+import { dirname, isAbsolute, join, resolve } from "node:path";
+import { randomUUID } from "node:crypto";
 import { fileURLToPath } from "node:url";
-import { Readable, Writable } from "node:stream";
+import { StringDecoder } from "node:string_decoder";
+import { Duplex, Readable, Transform, Writable } from "node:stream";
+import { finished } from "node:stream/promises";
 
 // Safe string infrastructure
 const SHELL_SAFE = Symbol("shellSafe");
 
+// Config key for an error a Process reports instead of running its command
+const SETUP_ERROR = Symbol("setupError");
+
 function markSafeString(str) {
   if (typeof str !== "string") {
     throw new Error("Only strings can be marked as shell-safe");
@@ -20,6 +36,8 @@ function isSafeString(str) {
     str[SHELL_SAFE] === true;
 }
 
+const plainWordPattern = /^[\w@%+:,./-]+$/;
+
 function shellEscape(value) {
   if ((typeof value === "string" || value instanceof String) && 
       isSafeString(value)) {
@@ -31,10 +49,10 @@ function shellEscape(value) {
     return "''";
   }
   
-  // For strings with spaces or dangerous chars, wrap in single quotes
-  // Single quotes prevent ALL shell interpretation (except for single quotes
-  // themselves)
-  if (/[\s$`"';|&\\]/.test(str)) {
+  // Anything but plain word characters is wrapped in single quotes, which
+  // prevent ALL shell interpretation (except for single quotes themselves),
+  // so globs, tildes, comments and assignments stay literal too
+  if (!plainWordPattern.test(str)) {
     return `'${str.replaceAll("'", "'\\''")}'`;
   }
   
@@ -42,24 +60,116 @@ function shellEscape(value) {
   return str;
 }
 
+// Details of how a command ran, as opposed to its outcome: exit code,
+// terminating signal, command, working directory, pid, start time and
+// duration. They are non-enumerable so that results still compare and print
+// by outcome.
+const executionDetailNames = [
+  "exitCode",
+  "signal",
+  "command",
+  "cwd",
+  "pid",
+  "startedAt",
+  "durationMs",
+];
+
+function defineExecutionDetails(target, details) {
+  for (const name of executionDetailNames) {
+    Object.defineProperty(target, name, {
+      value: details[name],
+      writable: true,
+      configurable: true,
+    });
+  }
+}
+
+function pickExecutionDetails(source) {
+  const entries = executionDetailNames.map(name => [name, source[name]]);
+  return Object.fromEntries(entries);
+}
+
 // ProcessResult class for successful command execution
 class ProcessResult {
-  constructor({ ok, error, output, debug }) {
+  constructor({
+    ok,
+    error,
+    output,
+    debug,
+    all,
+    allChunks,
+    overflow,
+    stages,
+    ...details
+  }) {
     this.ok = ok;
     this.error = error;
     this.output = output;
     this.debug = debug;
+    defineExecutionDetails(this, details);
+    // Only present when options.all asked for interleaved output
+    if (all !== undefined) {
+      this.all = all;
+      this.allChunks = allChunks;
+    }
+    // Only present when output went past options.maxBuffer
+    if (overflow) {
+      this.overflow = overflow;
+    }
+    // Only present on the result of a pipeline
+    if (stages) {
+      this.stages = stages;
+    }
   }
 }
 
 // ProcessError class for failed command execution
 class ProcessError extends Error {
-  constructor({ message, code, output, debug }) {
+  constructor({
+    message,
+    code,
+    output,
+    debug,
+    all,
+    allChunks,
+    overflow,
+    timedOut,
+    aborted,
+    reason,
+    stages,
+    failedStage,
+    ...details
+  }) {
     super(message);
     this.name = "ProcessError";
     this.code = code;
     this.output = output;
     this.debug = debug;
+    defineExecutionDetails(this, details);
+    // Only present when options.all asked for interleaved output
+    if (all !== undefined) {
+      this.all = all;
+      this.allChunks = allChunks;
+    }
+    // Only present when output went past options.maxBuffer
+    if (overflow) {
+      this.overflow = overflow;
+    }
+    // Only present when the command was stopped for exceeding its timeout
+    if (timedOut) {
+      this.timedOut = true;
+    }
+    // Only present when the command was stopped through its AbortSignal
+    if (aborted) {
+      this.aborted = true;
+      this.reason = reason;
+    }
+    // Only present when a pipeline failed, with the index of the stage that
+    // failed
+    if (stages) {
+      this.stages = stages;
+      this.failedStage = failedStage;
+    }
   }
 }
 
@@ -85,63 +195,100 @@ function makeExecTag(useShell, isSync = false) {
   };
 }
 
-// Get the directory of the file that called sh/cmd
+const cwdModes = ["caller", "process", "module"];
+
+// The cwdMode and moduleUrl used when a command doesn't pass its own
+const cwdDefaults = { cwdMode: "caller", moduleUrl: undefined };
+
+// This file, whose frames are skipped when looking for the caller
+const libraryFile = fileURLToPath(import.meta.url);
+
+// Frames to look through for the caller, enough to get past the library's own
+const callerStackLimit = 50;
+
+// Set how commands without a cwd option pick their working directory:
+// "caller" for the directory of the file that runs the command, "process" for
+// process.cwd(), or "module" for the directory of moduleUrl
+function setDefaultCwdMode(cwdMode, moduleUrl) {
+  validateCwdMode({ cwdMode, moduleUrl });
+  Object.assign(cwdDefaults, { cwdMode, moduleUrl });
+}
+
+function validateCwdMode({ cwdMode, moduleUrl }) {
+  if (cwdMode !== undefined && !cwdModes.includes(cwdMode)) {
+    throw new Error(oneLine`
+      Configuration error: cwdMode must be one of
+      ${cwdModes.map(mode => `"${mode}"`).join(", ")}
+    `);
+  }
+  if (cwdMode === "module" && !moduleUrl) {
+    throw new Error(
+      "Configuration error: cwdMode \"module\" needs a moduleUrl, such as " +
+      "import.meta.url",
+    );
+  }
+}
+
+// Pick a command's working directory: options.cwd when given, otherwise the
+// directory that options.cwdMode or the package default points to
+function resolveWorkingDirectory(options) {
+  if (options.cwd) {
+    return options.cwd;
+  }
+  
+  const {
+    cwdMode = cwdDefaults.cwdMode,
+    moduleUrl = cwdDefaults.moduleUrl,
+  } = options;
+  validateCwdMode({ cwdMode, moduleUrl });
+  if (cwdMode === "process") {
+    return process.cwd();
+  } else if (cwdMode === "module") {
+    return dirname(toFilePath(String(moduleUrl)));
+  } else {
+    return getCallerDirectory();
+  }
+}
+
+// Stack frames name ES modules by file: URL and CommonJS modules by path
+function toFilePath(filename) {
+  return filename.startsWith("file:") ? fileURLToPath(filename) : filename;
+}
+
+// Get the directory of the file that called sh/cmd: the first frame outside
+// this library that belongs to a file, skipping Node's internals. Callers
+// without a file, like the REPL, get process.cwd().
 function getCallerDirectory() {
   const originalPrepareStackTrace = Error.prepareStackTrace;
+  const originalStackTraceLimit = Error.stackTraceLimit;
   try {
     Error.prepareStackTrace = (_, stack) => stack;
+    Error.stackTraceLimit = callerStackLimit;
     const stack = new Error().stack;
     
-    // Find the first stack frame that's not in process.js
     for (const frame of stack) {
       const filename = frame.getFileName();
-      if (filename && !filename.endsWith("process.js") && 
-          filename.startsWith("file:")) {
-        return dirname(fileURLToPath(filename));
+      if (!filename || filename.startsWith("node:")) {
+        continue;
+      }
+      const path = toFilePath(filename);
+      if (isAbsolute(path) && path !== libraryFile) {
+        return dirname(path);
       }
     }
-    
-    // Fallback to process.cwd() if we can't detect the caller
     return process.cwd();
   } catch {
     return process.cwd();
   } finally {
     Error.prepareStackTrace = originalPrepareStackTrace;
+    Error.stackTraceLimit = originalStackTraceLimit;
   }
 }
 
 
-// Simple command parser that handles basic quoted arguments
+// Parse a plain command string into argv, like a cmd template without values
 function parseCommand(command) {
-  const parts = [];
-  let current = "";
-  let inQuotes = false;
-  let quoteChar = "";
-  
-  for (let i = 0; i < command.length; i++) {
-    const char = command[i];
-    
-    if (!inQuotes && (char === `"` || char === `'`)) {
-      inQuotes = true;
-      quoteChar = char;
-    } else if (inQuotes && char === quoteChar) {
-      inQuotes = false;
-      quoteChar = "";
-    } else if (!inQuotes && /\s/.test(char)) {
-      if (current) {
-        parts.push(current);
-        current = "";
-      }
-    } else {
-      current += char;
-    }
-  }
-  
-  if (current) {
-    parts.push(current);
-  }
-  
-  return parts;
+  return buildCommandArgs([command], []);
 }
 
 // Helper function to check if something is a stream
@@ -149,17 +296,129 @@ function isStream(obj) {
   return obj && typeof obj.pipe === "function";
 }
 
+// Classify an input option by how it reaches stdin, or return null when there
+// is nothing to write
+function classifyInput(input) {
+  if (!input || input === true) {
+    return null;
+  }
+  if (typeof input === "string" || input instanceof Uint8Array) {
+    return "bytes";
+  }
+  if (isStream(input)) {
+    return "stream";
+  }
+  if (typeof input.getReader === "function") {
+    return "web";
+  }
+  if (typeof input[Symbol.asyncIterator] === "function") {
+    return "asyncIterable";
+  }
+  if (typeof input[Symbol.iterator] === "function") {
+    return "iterable";
+  }
+  throw new Error(
+    "Configuration error: input must be a string, Buffer, iterable, async " +
+    "iterable or stream",
+  );
+}
+
+// Strings from an iterable are lines, so each one gets a trailing newline.
+// Bytes are written as they are
+function toInputChunk(item) {
+  return typeof item === "string" ? `${item}\n` : item;
+}
+
+async function* toInputChunks(items) {
+  for await (const item of items) {
+    yield toInputChunk(item);
+  }
+}
+
+// Turn an iterable, async iterable or Web ReadableStream into a Node stream
+// that can be piped to stdin with backpressure
+function toInputStream(input, kind) {
+  if (kind === "web") {
+    return Readable.fromWeb(input);
+  }
+  return Readable.from(toInputChunks(input));
+}
+
+// Sync children take their whole input at once
+function toInputBuffer(items) {
+  return Buffer.concat(Array.from(items, item => {
+    const chunk = toInputChunk(item);
+    return typeof chunk === "string" ? Buffer.from(chunk) : chunk;
+  }));
+}
+
 // Synchronous execution
-function executeSyncCommand(cmd, args, spawnOptions, inputData, options) {
+function executeSyncCommand(
+  cmd,
+  args,
+  spawnOptions,
+  inputData,
+  options,
+  redirects,
+) {
+  const { command, cwd } = describeSpawn(cmd, args, spawnOptions);
+  const startedAt = new Date();
+  
   try {
-    const result = spawnSync(cmd, args, {
-      ...spawnOptions,
-      input: inputData,
-      encoding: "utf8",
-    });
+    const result = options.timeout
+      ? spawnWithTimeoutSync(cmd, args, spawnOptions, inputData, options)
+      : spawnSync(cmd, args, {
+        ...spawnOptions,
+        input: inputData,
+        maxBuffer: options.maxBuffer,
+      });
+    
+    // spawnSync() stops a child whose output passes maxBuffer on its own,
+    // though it may have read past the limit by then
+    const { maxBuffer } = options;
+    const exceeded = result.error?.code === "ENOBUFS" &&
+      maxBuffer !== undefined;
+    const limit = exceeded ? maxBuffer : undefined;
+    const stdout = (result.stdout ?? Buffer.alloc(0)).subarray(0, limit);
+    const stderr = (result.stderr ?? Buffer.alloc(0)).subarray(0, limit);
+    const output = decodeOutput(
+      redirectSyncOutput(stdout, redirects.output, options),
+      options.encoding,
+    );
+    const debug = decodeOutput(
+      redirectSyncOutput(stderr, redirects.debug, options),
+      options.encoding,
+    );
+    const details = {
+      exitCode: result.status ?? null,
+      signal: result.signal ?? null,
+      command,
+      cwd,
+      pid: result.pid || null,
+      startedAt,
+      durationMs: Date.now() - startedAt.getTime(),
+    };
+    
+    if (result.timedOut) {
+      const error = createTimeoutError({
+        timeout: options.timeout,
+        output,
+        debug,
+        ...details,
+      });
+      return failSync(error, options);
+    }
     
-    const output = result.stdout || "";
-    const debug = result.stderr || "";
+    if (exceeded) {
+      const error = createMaxBufferError({
+        maxBuffer,
+        stream: result.stdout.length > maxBuffer ? "output" : "debug",
+        output,
+        debug,
+        ...details,
+      });
+      return failSync(error, options);
+    }
     
     if (result.error) {
       const error = new ProcessError({
@@ -167,35 +426,29 @@ function executeSyncCommand(cmd, args, spawnOptions, inputData, options) {
         code: result.error.code,
         output,
         debug,
+        ...details,
       });
-      if (options.throw !== false) {
-        throw error;
-      }
-      return new ProcessResult({ ok: false, error, output, debug });
+      return failSync(error, options);
     }
     
     if (result.status !== 0) {
-      // Create a more informative error message
-      let errorMessage = `Command failed with exit code ${result.status}`;
-      if (debug && debug.trim()) {
-        // Include stderr information in the error message for better
-        // diagnostics
-        errorMessage += `: ${debug.trim()}`;
-      }
-      
       const error = new ProcessError({
-        message: errorMessage,
+        message: describeFailure(details, debug),
         code: result.status,
         output,
         debug,
+        ...details,
       });
-      if (options.throw !== false) {
-        throw error;
-      }
-      return new ProcessResult({ ok: false, error, output, debug });
+      return failSync(error, options);
     }
     
-    return new ProcessResult({ ok: true, error: undefined, output, debug });
+    return new ProcessResult({
+      ok: true,
+      error: undefined,
+      output,
+      debug,
+      ...details,
+    });
   } catch (error) {
     if (error instanceof ProcessError) {
       throw error;
@@ -206,59 +459,368 @@ function executeSyncCommand(cmd, args, spawnOptions, inputData, options) {
       code: error.code,
       output: "",
       debug: "",
+      command,
+      cwd,
+      startedAt,
+    });
+    return failSync(processError, options);
+  }
+}
+
+// Write a sync command's output to its redirect file, if any, returning what
+// the result keeps of it
+function redirectSyncOutput(buffer, fd, options) {
+  if (fd === null) {
+    return buffer;
+  }
+  
+  try {
+    writeFileSync(fd, buffer);
+  } finally {
+    closeSync(fd);
+  }
+  return options.capture ? buffer : Buffer.alloc(0);
+}
+
+// Turn captured bytes into text with options.encoding, or keep them as a
+// Buffer with the "buffer" encoding
+function decodeOutput(buffer, encoding = "utf8") {
+  return encoding === "buffer" ? buffer : buffer.toString(encoding);
+}
+
+// Output redirected to a file is only kept in the result with options.capture
+function capturesOutput(fd, options) {
+  return fd === null || options.capture;
+}
+
+// Open the files named by options.to, options.append, options.debugTo and
+// options.from, relative to the working directory. A file that cannot be
+// opened fails the command with a ProcessError.
+function openRedirects(options, cwd) {
+  if (options.to && options.append) {
+    throw new Error(
+      "Configuration error: Output cannot both overwrite (to) and append to " +
+      "a file",
+    );
+  }
+  
+  if (options.from && options.input) {
+    throw new Error(
+      "Configuration error: Input cannot come from both a file (from) and " +
+      "the input option",
+    );
+  }
+  
+  const redirects = { input: null, output: null, debug: null };
+  const requests = [
+    ["input", options.from, "r"],
+    ["output", options.to, "w"],
+    ["output", options.append, "a"],
+    ["debug", options.debugTo, "w"],
+  ];
+  try {
+    for (const [name, path, flags] of requests) {
+      if (path) {
+        redirects[name] = openSync(resolve(cwd, String(path)), flags);
+      }
+    }
+  } catch (error) {
+    closeRedirects(redirects);
+    throw new ProcessError({
+      message: error.message,
+      code: error.code,
+      output: "",
+      debug: "",
     });
-    if (options.throw !== false) {
-      throw processError;
+  }
+  return redirects;
+}
+
+function closeRedirects(redirects) {
+  for (const fd of Object.values(redirects)) {
+    if (fd !== null) {
+      closeSync(fd);
     }
-    return new ProcessResult({ ok: false, error: processError, output: "", 
-                               debug: "" });
   }
 }
 
-// Asynchronous execution
-async function executeAsyncCommand(cmd, args, spawnOptions, inputData, 
-                                   options) {
+// Throw a sync command's error, or return it as a failed result in safe mode
+function failSync(error, options) {
+  if (options.throw !== false) {
+    throw error;
+  }
+  return createFailedResult(error);
+}
+
+function createFailedResult(error) {
+  const { output, debug, all, allChunks, overflow, stages } = error;
+  const details = pickExecutionDetails(error);
+  return new ProcessResult({
+    ok: false,
+    error,
+    output,
+    debug,
+    all,
+    allChunks,
+    overflow,
+    stages,
+    ...details,
+  });
+}
+
+// Render the spawned command for display, and where it runs
+function describeSpawn(cmd, args, spawnOptions) {
+  const command = spawnOptions.shell ? cmd : formatArgv([cmd, ...args]);
+  return { command, cwd: spawnOptions.cwd };
+}
+
+// Echo a command before it runs when options.verbose is set, or for every
+// command when SH_CMD_VERBOSE is set. A verbose function receives the line
+// instead of stderr.
+function logCommand(cmd, args, spawnOptions, options) {
+  const verbose = options.verbose ?? isVerboseEnvironment();
+  if (!verbose) {
+    return;
+  }
+  
+  const { command, cwd } = describeSpawn(cmd, args, spawnOptions);
+  const line = `$ ${describeEnvOverrides(options.env)}${command} # cwd: ${cwd}`;
+  if (typeof verbose === "function") {
+    verbose(line);
+  } else {
+    process.stderr.write(`${line}\n`);
+  }
+}
+
+// Show options.env the way a shell would set it for one command, using env(1)
+// when a variable is unset
+function describeEnvOverrides(env = {}) {
+  const entries = Object.entries(env);
+  const unset = entries
+    .filter(([, value]) => value === undefined)
+    .map(([name]) => `-u ${name}`);
+  const assignments = entries
+    .filter(([, value]) => value !== undefined)
+    .map(([name, value]) => `${name}=${shellEscape(value)}`);
+  const words = unset.length
+    ? ["env", ...unset, ...assignments]
+    : assignments;
+  return words.map(word => `${word} `).join("");
+}
+
+function isVerboseEnvironment() {
+  const value = process.env.SH_CMD_VERBOSE?.toLowerCase();
+  return Boolean(value) && value !== "0" && value !== "false";
+}
+
+function describeFailure({ exitCode, signal }, debug) {
+  // Create a more informative error message
+  let errorMessage = signal
+    ? `Command was killed by ${signal}`
+    : `Command failed with exit code ${exitCode}`;
+  const stderr = String(debug).trim();
+  if (stderr) {
+    // Include stderr information in the error message for better
+    // diagnostics
+    errorMessage += `: ${stderr}`;
+  }
+  return errorMessage;
+}
+
+// spawnSync() can only send a single signal when its timeout expires, so a
+// child that ignores it would block forever. Instead, run the command under a
+// small watchdog that escalates like the async path and reports the outcome
+// on file descriptor 3.
+const syncWatchdogScript = `
+  const { spawn } = require("node:child_process");
+  const { writeSync } = require("node:fs");
+  
+  const { cmd, args, shell, detached, limits } = JSON.parse(process.argv[1]);
+  const child = spawn(cmd, args, { shell, detached, stdio: "inherit" });
+  
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    kill(limits.killSignal);
+    setTimeout(() => kill("SIGKILL"), limits.forceKillAfter).unref();
+  }, limits.timeout);
+  
+  // A detached child misses signals sent to our group, such as ^C. The
+  // caller is likely dying of the same signal, so stop the whole group too.
+  for (const signal of ["SIGINT", "SIGTERM", "SIGHUP"]) {
+    process.on(signal, () => {
+      kill(signal);
+      kill(limits.killSignal);
+    });
+  }
+  
+  child.on("error", ({ message, code }) => {
+    report({ error: { message, code } });
+  });
+  child.on("exit", (status, signal) => {
+    report({ status, signal, timedOut, pid: child.pid });
+  });
+  
+  function kill(signal) {
+    try {
+      process.kill(detached ? -child.pid : child.pid, signal);
+    } catch {}
+  }
+  
+  function report(outcome) {
+    clearTimeout(timer);
+    writeSync(3, JSON.stringify(outcome));
+    process.exit(0);
+  }
+`;
+
+function spawnWithTimeoutSync(cmd, args, spawnOptions, inputData, options) {
+  const { shell, detached, ...watchdogOptions } = spawnOptions;
+  const request = {
+    cmd,
+    args,
+    shell,
+    detached,
+    limits: {
+      timeout: options.timeout,
+      killSignal: options.killSignal ?? DEFAULT_KILL_SIGNAL,
+      forceKillAfter: options.forceKillAfter ?? DEFAULT_FORCE_KILL_AFTER,
+    },
+  };
+  
+  const result = spawnSync(
+    process.execPath,
+    ["-e", syncWatchdogScript, JSON.stringify(request)],
+    {
+      ...watchdogOptions,
+      stdio: ["pipe", "pipe", "pipe", "pipe"],
+      input: inputData,
+      maxBuffer: options.maxBuffer,
+    },
+  );
+  if (result.error) {
+    return result;
+  }
+  
+  const outcome = JSON.parse(String(result.output[3]));
+  const error = outcome.error && Object.assign(
+    new Error(outcome.error.message),
+    { code: outcome.error.code },
+  );
+  return { ...result, ...outcome, error };
+}
+
+// Asynchronous execution: wire up a spawned child's stdio and settle once it
+// closes. stdout is kept for the result for as long as keepsOutput() is true.
+function superviseChild(
+  child,
+  inputData,
+  options,
+  context,
+  redirects,
+  keepsOutput = () => true,
+) {
+  const { command, cwd } = context;
   return new Promise((resolve, reject) => {
-    const child = spawn(cmd, args, spawnOptions);
-    
     // Collect chunks as Buffers for proper streaming and final assembly
-    const outputChunks = [];
-    const debugChunks = [];
+    const files = [];
+    const captureHooks = { onExceeded, openFile: openSpillFile };
+    const captures = {
+      output: createCapture("output", options, captureHooks),
+      debug: createCapture("debug", options, captureHooks),
+    };
+    const interleaved = options.all
+      ? createInterleavedRecorder(options.encoding)
+      : null;
+    
+    const startedAt = new Date();
+    let stopReason = null;
+    let exceededStream = null;
+    let inputSource = null;
+    let inputError = null;
+    const { stop, unwatch } = watchForStop(child, options, (reason) => {
+      stopReason = reason;
+    });
     
     // Handle stdout: pipe for live output + collect chunks for capture
     if (child.stdout) {
-      if (options.output) {
-        // Stream immediately for real-time output
-        child.stdout.pipe(process.stdout);
+      // Stream immediately for real-time output
+      forwardLiveOutput(
+        child.stdout,
+        options.output,
+        process.stdout,
+        options,
+      );
+      if (redirects.output !== null) {
+        child.stdout.pipe(openRedirectFile(redirects.output));
+      }
+      // In stream mode the caller reads stdout at its own pace, so it is
+      // neither drained nor kept for the final result
+      if (!options.stream && capturesOutput(redirects.output, options)) {
+        child.stdout.on("data", (chunk) => {
+          if (keepsOutput()) {
+            captures.output.push(chunk);
+          }
+        });
+      }
+      if (interleaved && !options.stream) {
+        child.stdout.on("data", (chunk) => {
+          if (keepsOutput()) {
+            interleaved.record("output", chunk);
+          }
+        });
       }
-      child.stdout.on("data", (chunk) => {
-        // Always collect chunks for final result
-        outputChunks.push(chunk);
-      });
     }
     
     // Handle stderr: pipe for live debug + collect chunks for capture  
     if (child.stderr) {
-      if (options.debug) {
-        // Stream immediately for real-time debug output
-        child.stderr.pipe(process.stderr);
+      // Stream immediately for real-time debug output
+      forwardLiveOutput(
+        child.stderr,
+        options.debug,
+        process.stderr,
+        options,
+      );
+      if (redirects.debug !== null) {
+        child.stderr.pipe(openRedirectFile(redirects.debug));
       }
-      child.stderr.on("data", (chunk) => {
-        // Always collect chunks for final result
-        debugChunks.push(chunk);
-      });
+      if (capturesOutput(redirects.debug, options)) {
+        child.stderr.on("data", (chunk) => {
+          captures.debug.push(chunk);
+        });
+      }
+      if (interleaved) {
+        child.stderr.on("data", (chunk) => {
+          interleaved.record("debug", chunk);
+        });
+      }
+    }
+    
+    // A child may exit before consuming its input, which is not an error
+    if (child.stdin) {
+      child.stdin.on("error", ignoreBrokenPipe);
     }
     
     // Handle input
-    if (inputData && child.stdin) {
-      if (isStream(inputData)) {
+    const inputKind = classifyInput(inputData);
+    if (inputKind && child.stdin) {
+      if (inputKind === "stream") {
         inputData.pipe(child.stdin);
-      } else if (typeof inputData === "string") {
+      } else if (inputKind === "bytes") {
         child.stdin.write(inputData);
         // If interactive mode, keep stdin open for parent piping
         if (options.input !== true) {
           child.stdin.end();
         }
+      } else {
+        inputSource = toInputStream(inputData, inputKind);
+        // A failing source fails the command, and the child sees the input
+        // end where the source stopped
+        inputSource.on("error", (error) => {
+          inputError ??= error;
+          child.stdin.end();
+        });
+        inputSource.pipe(child.stdin);
       }
     }
     
@@ -268,68 +830,618 @@ async function executeAsyncCommand(cmd, args, spawnOptions, inputData,
     }
     
     child.on("error", (error) => {
+      unwatch();
+      for (const file of files) {
+        file.end();
+      }
+      
       // Assemble final output from chunks
-      const output = Buffer.concat(outputChunks).toString("utf-8");
-      const debug = Buffer.concat(debugChunks).toString("utf-8");
+      const output = captures.output.decode();
+      const debug = captures.debug.decode();
       
-      const processError = new ProcessError({
+      fail(new ProcessError({
         message: error.message,
         code: error.code,
         output,
         debug,
-      });
-      if (options.throw !== false) {
-        reject(processError);
-      } else {
-        resolve(new ProcessResult(false, processError, output, debug));
-      }
+        ...describeRun(null, null),
+      }));
+    });
+    
+    child.on("close", (exitCode, signal) => {
+      unwatch();
+      // Stop generating input the child will never read
+      inputSource?.destroy();
+      captures.output.end();
+      captures.debug.end();
+      
+      // Redirected output is only complete once its files are flushed
+      Promise.all(files.map(file => finished(file))).then(
+        () => settle(exitCode, signal, inputError),
+        (error) => settle(exitCode, signal, error),
+      );
     });
     
-    child.on("close", (code) => {
+    function settle(exitCode, signal, streamError) {
       // Assemble final output from chunks using Buffer.concat()
-      const output = Buffer.concat(outputChunks).toString("utf-8");
-      const debug = Buffer.concat(debugChunks).toString("utf-8");
+      const output = captures.output.decode();
+      const debug = captures.debug.decode();
+      const details = describeRun(exitCode, signal);
       
-      if (code === 0) {
-        resolve(new ProcessResult({ ok: true, error: undefined, output, 
-                                    debug }));
+      if (streamError) {
+        fail(new ProcessError({
+          message: streamError.message,
+          code: streamError.code,
+          output,
+          debug,
+          ...details,
+        }));
+      } else if (stopReason === "timeout") {
+        fail(createTimeoutError({
+          timeout: options.timeout,
+          output,
+          debug,
+          ...details,
+        }));
+      } else if (stopReason === "abort") {
+        fail(createAbortError({
+          reason: options.signal.reason,
+          output,
+          debug,
+          ...details,
+        }));
+      } else if (stopReason === "maxBuffer") {
+        fail(createMaxBufferError({
+          maxBuffer: options.maxBuffer,
+          stream: exceededStream,
+          output,
+          debug,
+          ...details,
+        }));
+      } else if (exitCode === 0) {
+        resolve(new ProcessResult({
+          ok: true,
+          error: undefined,
+          output,
+          debug,
+          ...details,
+        }));
       } else {
-        // Create a more informative error message
-        let errorMessage = `Command failed with exit code ${code}`;
-        if (debug && debug.trim()) {
-          // Include stderr information in the error message for better
-          // diagnostics
-          errorMessage += `: ${debug.trim()}`;
-        }
-        
-        const error = new ProcessError({
-          message: errorMessage,
-          code,
+        fail(new ProcessError({
+          message: describeFailure(details, debug),
+          code: exitCode,
           output,
           debug,
-        });
-        if (options.throw !== false) {
-          reject(error);
-        } else {
-          resolve(new ProcessResult({ ok: false, error, output, debug }));
-        }
+          ...details,
+        }));
       }
-    });
+    }
+    
+    function openRedirectFile(fd) {
+      const file = createWriteStream(null, { fd });
+      files.push(file);
+      return file;
+    }
+    
+    function openSpillFile(path) {
+      const file = createWriteStream(path);
+      files.push(file);
+      return file;
+    }
+    
+    function onExceeded(stream) {
+      exceededStream ??= stream;
+      stop("maxBuffer");
+    }
+    
+    function describeRun(exitCode, signal) {
+      return {
+        exitCode,
+        signal,
+        command,
+        cwd,
+        pid: child.pid ?? null,
+        startedAt,
+        durationMs: Date.now() - startedAt.getTime(),
+        ...interleaved?.finish(),
+        ...describeOverflow(captures),
+      };
+    }
+    
+    function fail(error) {
+      if (options.throw !== false) {
+        reject(error);
+      } else {
+        resolve(createFailedResult(error));
+      }
+    }
   });
 }
 
-function objectToCLIFlags(obj) {
-  return toFlagDescriptors(obj)
-    .filter(shouldIncludeFlag)
-    .map(formatFlag)
-    .join(" ");
-}
-
-function objectToShellSafeFlags(obj) {
-  return toFlagDescriptors(obj)
-    .filter(shouldIncludeFlag)
-    .map(formatShellSafeFlag)
-    .join(" ");
+// Record stdout and stderr chunks in arrival order for options.all. Each
+// stream has its own decoder, so multi-byte characters split across chunks
+// stay whole. The merged output is always text, as UTF-8 when options.encoding
+// asks for Buffers.
+function createInterleavedRecorder(encoding = "utf8") {
+  const chunks = [];
+  const textEncoding = encoding === "buffer" ? "utf8" : encoding;
+  const decoders = {
+    output: new StringDecoder(textEncoding),
+    debug: new StringDecoder(textEncoding),
+  };
+  
+  function record(stream, buffer) {
+    const text = decoders[stream].write(buffer);
+    if (text) {
+      chunks.push({ stream, text, timestamp: new Date() });
+    }
+  }
+  
+  function finish() {
+    for (const [stream, decoder] of Object.entries(decoders)) {
+      const text = decoder.end();
+      if (text) {
+        chunks.push({ stream, text, timestamp: new Date() });
+      }
+    }
+    const all = chunks.map(chunk => chunk.text).join("");
+    return { all, allChunks: chunks };
+  }
+  
+  return { record, finish };
+}
+
+// Forward a child's live stream to options.output or options.debug: true for
+// the parent's own stream, a Node Writable, a Web WritableStream, a callback
+// or an array of these to tee. Destinations are left open when the child
+// ends, since they may be shared with other commands. With options.prefix,
+// lines echoed to the parent's stream are labeled.
+function forwardLiveOutput(source, destinations, parentStream, options) {
+  for (const destination of [destinations].flat()) {
+    if (!destination) {
+      continue;
+    }
+    if (destination === true && options.prefix !== undefined) {
+      source
+        .pipe(createLinePrefixer(options.prefix, parentStream))
+        .pipe(parentStream);
+    } else if (destination === true) {
+      source.pipe(parentStream);
+    } else if (typeof destination === "function") {
+      forwardToCallback(source, destination, options.encoding);
+    } else if (typeof destination.getWriter === "function") {
+      forwardToWebStream(source, destination);
+    } else {
+      forwardToWritable(source, destination);
+    }
+  }
+}
+
+// Write to a Node.js Writable, leaving it open for later commands. A
+// destination that fails only stops receiving output.
+function forwardToWritable(source, destination) {
+  function onError() {
+    source.unpipe(destination);
+  }
+  destination.on("error", onError);
+  source.once("close", () => {
+    destination.removeListener("error", onError);
+  });
+  source.pipe(destination, { end: false });
+}
+
+// Write to a Web WritableStream through a writer that is released once the
+// source ends, leaving the stream open and unlocked for later commands
+function forwardToWebStream(source, destination) {
+  const writer = destination.getWriter();
+  const writable = new Writable({
+    write(chunk, encoding, callback) {
+      writer.write(chunk).catch(() => {});
+      writer.ready.then(() => callback(), callback);
+    },
+    destroy(error, callback) {
+      writer.releaseLock();
+      callback(error);
+    },
+  });
+  // A destination that fails only stops receiving output
+  writable.on("error", () => {});
+  source.pipe(writable);
+}
+
+// Callbacks get text decoded with options.encoding, or Buffers with the
+// "buffer" encoding
+function forwardToCallback(source, callback, encoding = "utf8") {
+  if (encoding === "buffer") {
+    source.on("data", callback);
+    return;
+  }
+  
+  const decoder = new StringDecoder(encoding);
+  source.on("data", (chunk) => {
+    const text = decoder.write(chunk);
+    if (text) {
+      callback(text);
+    }
+  });
+  source.on("end", () => {
+    const text = decoder.end();
+    if (text) {
+      callback(text);
+    }
+  });
+}
+
+const prefixColors = [36, 35, 33, 32, 34, 31];
+const assignedPrefixColors = new Map();
+
+// Give each prefix a color of its own, the same one every time it is used
+function getPrefixColor(prefix) {
+  if (!assignedPrefixColors.has(prefix)) {
+    const index = assignedPrefixColors.size % prefixColors.length;
+    assignedPrefixColors.set(prefix, prefixColors[index]);
+  }
+  return assignedPrefixColors.get(prefix);
+}
+
+// Label every line with a prefix such as "[api] ", colored when the terminal
+// supports it. Partial lines are held back until they are complete, so
+// commands running side by side never split each other's lines.
+function createLinePrefixer(prefix, parentStream) {
+  const label = parentStream.hasColors?.()
+    ? `\x1b[${getPrefixColor(prefix)}m[${prefix}]\x1b[0m `
+    : `[${prefix}] `;
+  const decoder = new StringDecoder("utf8");
+  let pending = "";
+  
+  function prefixLines(text) {
+    const lines = (pending + text).split("\n");
+    pending = lines.pop();
+    return lines.map(line => `${label}${line}\n`).join("");
+  }
+  
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      callback(null, prefixLines(decoder.write(chunk)));
+    },
+    flush(callback) {
+      const text = prefixLines(decoder.end());
+      callback(null, pending ? `${text}${label}${pending}\n` : text);
+    },
+  });
+}
+
+function isLiveOutputDestination(destination) {
+  return !destination || destination === true ||
+    typeof destination === "function" ||
+    typeof destination.write === "function" ||
+    typeof destination.getWriter === "function";
+}
+
+function validateLiveOutput(options) {
+  if (options.prefix !== undefined && typeof options.prefix !== "string") {
+    throw new Error("Configuration error: prefix must be a string");
+  }
+  for (const name of ["output", "debug"]) {
+    if (![options[name]].flat().every(isLiveOutputDestination)) {
+      throw new Error(oneLine`
+        Configuration error: ${name} must be a boolean, Writable,
+        WritableStream, callback or an array of these
+      `);
+    }
+  }
+}
+
+// Whether options.output or options.debug goes anywhere besides the parent's
+// own streams
+function hasLiveOutputDestination(options) {
+  return [options.output, options.debug].flat().some(destination =>
+    destination && destination !== true
+  );
+}
+
+const overflowModes = ["kill", "head", "tail", "spill"];
+
+// Collect the chunks of one output stream, bounded by options.maxBuffer bytes.
+// Past the limit, options.overflow decides: "kill" stops the child, "head"
+// and "tail" keep only the first or last bytes, and "spill" keeps the first
+// bytes and writes the rest to a temp file.
+function createCapture(stream, options, { onExceeded, openFile }) {
+  const { maxBuffer = Infinity, overflow = "kill", encoding } = options;
+  const chunks = [];
+  let size = 0;
+  let totalBytes = 0;
+  let exceeded = false;
+  let spillPath = null;
+  let spillFile = null;
+  
+  function push(chunk) {
+    totalBytes += chunk.length;
+    if (overflow === "tail") {
+      keepTail(chunk);
+      return;
+    }
+    
+    const room = maxBuffer - size;
+    if (chunk.length <= room) {
+      keep(chunk);
+      return;
+    }
+    
+    keep(chunk.subarray(0, room));
+    if (!exceeded) {
+      exceeded = true;
+      if (overflow === "kill") {
+        onExceeded(stream);
+      } else if (overflow === "spill") {
+        spillPath = join(tmpdir(), `sh-cmd-tag-${randomUUID()}.${stream}`);
+        spillFile = openFile(spillPath);
+      }
+    }
+    spillFile?.write(chunk.subarray(room));
+  }
+  
+  function keep(chunk) {
+    if (chunk.length > 0) {
+      chunks.push(chunk);
+      size += chunk.length;
+    }
+  }
+  
+  function keepTail(chunk) {
+    keep(chunk);
+    while (size > maxBuffer) {
+      exceeded = true;
+      const excess = size - maxBuffer;
+      if (chunks[0].length <= excess) {
+        size -= chunks.shift().length;
+      } else {
+        chunks[0] = chunks[0].subarray(excess);
+        size -= excess;
+      }
+    }
+  }
+  
+  function end() {
+    spillFile?.end();
+  }
+  
+  function decode() {
+    return decodeOutput(Buffer.concat(chunks), encoding);
+  }
+  
+  function describe() {
+    if (!exceeded) {
+      return undefined;
+    }
+    const description = { mode: overflow, totalBytes };
+    if (spillPath) {
+      description.file = spillPath;
+    }
+    return description;
+  }
+  
+  return { push, end, decode, describe };
+}
+
+// Report the streams that went past options.maxBuffer, keyed by stream name
+function describeOverflow(captures) {
+  const entries = Object.entries(captures)
+    .map(([stream, capture]) => [stream, capture.describe()])
+    .filter(([, description]) => description);
+  if (entries.length === 0) {
+    return {};
+  }
+  return { overflow: Object.fromEntries(entries) };
+}
+
+function killsOnMaxBuffer(options) {
+  return options.maxBuffer !== undefined &&
+    (options.overflow ?? "kill") === "kill";
+}
+
+function validateMaxBuffer(options) {
+  const { maxBuffer, overflow } = options;
+  if (maxBuffer !== undefined && !(maxBuffer >= 0)) {
+    throw new Error(
+      "Configuration error: maxBuffer must be a number of bytes",
+    );
+  }
+  if (overflow !== undefined && !overflowModes.includes(overflow)) {
+    throw new Error(oneLine`
+      Configuration error: overflow must be one of
+      ${overflowModes.map(mode => `"${mode}"`).join(", ")}
+    `);
+  }
+}
+
+function createMaxBufferError({
+  maxBuffer,
+  stream,
+  output,
+  debug,
+  ...details
+}) {
+  const streamName = stream === "debug" ? "debug output" : "output";
+  return new ProcessError({
+    message: `Command ${streamName} exceeded maxBuffer of ${maxBuffer} bytes`,
+    code: "ENOBUFS",
+    output,
+    debug,
+    ...details,
+  });
+}
+
+const DEFAULT_KILL_SIGNAL = "SIGTERM";
+const DEFAULT_FORCE_KILL_AFTER = 5000;
+
+// Stop a child that outlives options.timeout or whose options.signal is
+// aborted, escalating to SIGKILL if it ignores the first signal. onStop
+// receives the reason. Returns stop(), to stop the child for another reason,
+// and unwatch(), which cancels all of this.
+function watchForStop(child, options, onStop) {
+  const { timeout, signal } = options;
+  let timeoutTimer;
+  let forceKillTimer;
+  
+  function stop(reason) {
+    if (forceKillTimer) {
+      return;
+    }
+    onStop(reason);
+    killChild(child, options.killSignal ?? DEFAULT_KILL_SIGNAL, options);
+    forceKillTimer = setTimeout(() => {
+      killChild(child, "SIGKILL", options);
+    }, options.forceKillAfter ?? DEFAULT_FORCE_KILL_AFTER);
+  }
+  
+  function onAbort() {
+    stop("abort");
+  }
+  
+  if (timeout) {
+    timeoutTimer = setTimeout(() => stop("timeout"), timeout);
+  }
+  if (signal?.aborted) {
+    onAbort();
+  } else {
+    signal?.addEventListener("abort", onAbort, { once: true });
+  }
+  
+  function unwatch() {
+    clearTimeout(timeoutTimer);
+    clearTimeout(forceKillTimer);
+    signal?.removeEventListener("abort", onAbort);
+  }
+  
+  return { stop, unwatch };
+}
+
+function createAbortError({ reason, output, debug, ...details }) {
+  const { durationMs } = details;
+  let errorMessage = `Command was aborted after ${durationMs}ms`;
+  const stderr = String(debug).trim();
+  if (stderr) {
+    errorMessage += `: ${stderr}`;
+  }
+  
+  return new ProcessError({
+    message: errorMessage,
+    code: "ABORT_ERR",
+    output,
+    debug,
+    aborted: true,
+    reason,
+    ...details,
+  });
+}
+
+function createTimeoutError({ timeout, output, debug, ...details }) {
+  const { durationMs } = details;
+  let errorMessage =
+    `Command timed out after ${timeout}ms (ran for ${durationMs}ms)`;
+  const stderr = String(debug).trim();
+  if (stderr) {
+    errorMessage += `: ${stderr}`;
+  }
+  
+  return new ProcessError({
+    message: errorMessage,
+    code: "ETIMEDOUT",
+    output,
+    debug,
+    timedOut: true,
+    ...details,
+  });
+}
+
+// Commands that may need to be stopped run in their own process group, so
+// that processes started by a shell are signalled along with the shell.
+// Interactive commands stay in ours to keep the controlling terminal.
+function usesProcessGroup(options) {
+  const canBeStopped = Boolean(
+    options.timeout || options.signal || killsOnMaxBuffer(options),
+  );
+  return canBeStopped && options.input !== true &&
+    process.platform !== "win32";
+}
+
+// Process groups of running children, which no longer see the signals sent
+// to ours, such as ^C in a terminal
+const processGroups = new Set();
+const forwardedSignals = ["SIGINT", "SIGTERM", "SIGHUP"];
+
+// Forward termination signals to the child's group and stop the group when
+// we exit, until the child's output closes
+function trackProcessGroup(child) {
+  if (processGroups.size === 0) {
+    process.on("exit", stopProcessGroups);
+    for (const signal of forwardedSignals) {
+      process.on(signal, forwardSignal);
+    }
+  }
+  processGroups.add(child);
+  
+  child.once("close", () => {
+    processGroups.delete(child);
+    if (processGroups.size === 0) {
+      process.removeListener("exit", stopProcessGroups);
+      for (const signal of forwardedSignals) {
+        process.removeListener(signal, forwardSignal);
+      }
+    }
+  });
+}
+
+function signalProcessGroups(signal) {
+  for (const child of processGroups) {
+    try {
+      process.kill(-child.pid, signal);
+    } catch {
+      // The group is already gone
+    }
+  }
+}
+
+function stopProcessGroups() {
+  signalProcessGroups(DEFAULT_KILL_SIGNAL);
+}
+
+function forwardSignal(signal) {
+  signalProcessGroups(signal);
+  // Unless the application handles the signal itself, die of it as we would
+  // have without this listener. Nothing will be left to stop the groups, and
+  // shells run background commands with SIGINT ignored, so stop them now.
+  if (process.listenerCount(signal) === 1) {
+    stopProcessGroups();
+    process.removeListener(signal, forwardSignal);
+    process.kill(process.pid, signal);
+  }
+}
+
+function killChild(child, signal, options) {
+  if (usesProcessGroup(options) && child.pid) {
+    try {
+      process.kill(-child.pid, signal);
+      return true;
+    } catch {
+      // The group is already gone; fall back to the child itself
+    }
+  }
+  return child.kill(signal);
+}
+
+function ignoreBrokenPipe(error) {
+  if (error.code !== "EPIPE") {
+    throw error;
+  }
+}
+
+function objectToShellSafeFlags(obj) {
+  return toFlagDescriptors(obj)
+    .filter(shouldIncludeFlag)
+    .map(formatShellSafeFlag)
+    .join(" ");
 }
 
 function formatShellSafeFlag({ name, value }) {
@@ -342,16 +1454,9 @@ function formatShellSafeFlag({ name, value }) {
   }
 }
 
+// Quote anything but plain word characters, like any other interpolated value
 function formatShellSafeValue(value) {
-  const valueStr = String(value);
-  const specialChars = /[ "'$`\\\/]/;
-  const needsQuotes = typeof value === "string" && specialChars.test(valueStr);
-  
-  if (needsQuotes) {
-    return shellEscape(valueStr); // Escape dangerous values with single quotes
-  } else {
-    return valueStr; // Safe values don't need quotes
-  }
+  return shellEscape(value);
 }
 
 function shouldIncludeFlag({ value }) {
@@ -359,16 +1464,6 @@ function shouldIncludeFlag({ value }) {
   return !exclusionValues.includes(value);
 }
 
-function formatFlag({ name, value }) {
-  name = formatFlagName(name);
-  if (value === true) {
-    return name;
-  } else {
-    value = formatValueForShell(value);
-    return `${name}=${value}`;
-  }
-}
-
 function toFlagDescriptors(obj) {
   return Object.entries(obj).map(entriesToNameValueObjects);
   
@@ -377,19 +1472,6 @@ function toFlagDescriptors(obj) {
   }
 }
 
-function formatValueForShell(value) {
-  const valueStr = String(value);
-  const specialChars = /[ "\'$`\\\/]/;
-  const needsQuotes = typeof value === "string" && specialChars.test(valueStr);
-  
-  if (needsQuotes) {
-    return `"${valueStr}"`;
-  } else {
-    // Handles strings without special chars, numbers, booleans, etc.
-    return valueStr;
-  }
-}
-
 function formatFlagName(key) {
   const flagPattern = /^(?<dashes>-+)?(?<name>[a-zA-Z_][\w-]*)$/;
   const match = key.match(flagPattern);
@@ -424,13 +1506,6 @@ function arrayToShellArgs(arr) {
     .join(" ");
 }
 
-function arrayToCommandArgs(arr) {
-  return arr
-    .filter(hasValue)
-    .map(item => String(item))
-    .join(" ");
-}
-
 function hasValue(item) {
   return item !== null && item !== undefined;
 }
@@ -438,198 +1513,1072 @@ function hasValue(item) {
 
 // Core execution function
 function executeCommand(strings, values, useShell, isSync, options = {}) {
-  const command = useShell 
-    ? buildShellExpression(strings, values)
-    : buildCommandString(strings, values);
-    
+  // A template that cannot be built into a command fails like a command that
+  // cannot run, so .safe still resolves
+  let command;
+  try {
+    command = useShell
+      ? buildShellExpression(strings, values)
+      : buildCommandArgs(strings, values);
+  } catch (error) {
+    if (!(error instanceof ProcessError)) {
+      throw error;
+    }
+    return failBeforeRun(error, isSync, options);
+  }
+  
   // Execute the command based on sync/async and shell mode
   return runCommand(command, useShell, isSync, options);
 }
 
+// Fail a command that never gets as far as being run
+function failBeforeRun(error, isSync, options) {
+  if (isSync) {
+    return failSync(error, withScopedOptions(options));
+  }
+  return new Process([], { ...options, shell: false, [SETUP_ERROR]: error });
+}
+
 function buildShellExpression(strings, values) {
+  const lexer = createShellLexer();
   let command = "";
-  for (let i = 0; i < strings.length; i++) {
-    command += strings[i];
-    if (i < values.length) {
-      // Determine the context for this interpolation
-      const beforeValue = strings[i];
-      const afterValue = i + 1 < strings.length ? strings[i + 1] : "";
-      const context = getInterpolationContext(beforeValue, afterValue);
-      
-      const safeValue = valueToShellString(values[i], context);
-      command += safeValue;
+  for (const [index, string] of strings.entries()) {
+    lexer.addText(string);
+    command += string;
+    if (index < values.length) {
+      command += lexer.addValue(values[index], index + 1);
     }
   }
+  lexer.finish();
   return command;
 }
 
-// Determine the quoting context for an interpolated value
-function getInterpolationContext(beforeValue, afterValue) {
-  const before = beforeValue.trim();
-  const after = afterValue.trim();
-  
-  // Check if we're inside double quotes
-  const beforeDoubleQuotes = (before.match(/"/g) || []).length;
-  const afterDoubleQuotes = (after.match(/"/g) || []).length;
-  
-  // Check if we're inside single quotes  
-  const beforeSingleQuotes = (before.match(/'/g) || []).length;
-  const afterSingleQuotes = (after.match(/'/g) || []).length;
+// Reserved words after which the next word is again a command
+const commandPrefixWords = new Set([
+  "!",
+  "{",
+  "do",
+  "elif",
+  "else",
+  "if",
+  "then",
+  "until",
+  "while",
+]);
+
+// Per-context state for following the words of commands: the word so far,
+// whether the next word is a command, and the case statements that are open
+function createCommandContext(type, fields = {}) {
+  return {
+    ...fields,
+    type,
+    word: "",
+    wordQuoted: false,
+    commandStart: true,
+    cases: [],
+  };
+}
+
+// Characters that end a shell word outside of quotes
+const wordBoundaryPattern = /[\s;&|()<>]/;
+
+const integerPattern = /^-?\d+$/;
+
+// Follow the shell grammar through an sh template so that each value can be
+// escaped for the context it lands in. Contexts form a stack, since quotes,
+// command substitutions, backticks and heredocs nest inside one another.
+// Values are never lexed themselves: once escaped they leave the context
+// unchanged, except for strings marked safe, which are shell code.
+function createShellLexer() {
+  const contexts = [createCommandContext("command")];
+  const pendingHeredocs = [];
+  let escaping = false;
+  let wordStart = true;
+  let afterDollar = false;
   
-  // If odd number of double quotes before and after, we're inside double quotes
-  if (beforeDoubleQuotes % 2 === 1 && afterDoubleQuotes % 2 === 1) {
-    return { type: "double-quoted" };
+  function addText(text) {
+    for (let index = 0; index < text.length; index++) {
+      index += step(text, index);
+    }
   }
   
-  // If odd number of single quotes before and after, we're inside single quotes
-  if (beforeSingleQuotes % 2 === 1 && afterSingleQuotes % 2 === 1) {
-    return { type: "single-quoted" };
+  // Consume the character at index, returning how many more were consumed
+  function step(text, index) {
+    const context = contexts.at(-1);
+    afterDollar = false;
+    switch (context.type) {
+      case "single":
+        return stepSingleQuoted(text[index]);
+      case "ansi":
+        return stepAnsiQuoted(text[index]);
+      case "double":
+        return stepDoubleQuoted(text, index);
+      case "comment":
+        return stepComment(text, index);
+      case "delimiter":
+        return stepDelimiter(text, index, context);
+      case "heredoc":
+        return stepHeredoc(text, index, context);
+      default:
+        return stepUnquoted(text, index, context);
+    }
   }
   
-  return { type: "unquoted" };
-}
-
-function valueToShellString(value, context = { type: "unquoted" }) {
-  if (value && typeof value === "object" && !Array.isArray(value)) {
-    return objectToShellSafeFlags(value);
-  } else if (Array.isArray(value)) {
-    return arrayToShellArgs(value);
-  } else {
-    // Direct string interpolation - context-aware escaping
-    if (isSafeString(value)) {
-      return String(value); // Already safe
-    } else {
-      return templateEscape(String(value), context);
+  function stepUnquoted(text, index, context) {
+    const char = text[index];
+    if (escaping) {
+      escaping = false;
+      wordStart = false;
+      return 0;
+    }
+    
+    const atWordStart = wordStart;
+    wordStart = wordBoundaryPattern.test(char);
+    if (isCommandContext(context)) {
+      const consumed = trackCommandWords(text, index, context, atWordStart);
+      if (consumed !== undefined) {
+        return consumed;
+      }
+    }
+    switch (char) {
+      case "\\":
+        escaping = true;
+        return 0;
+      case "'":
+        contexts.push({ type: "single" });
+        return 0;
+      case `"`:
+        contexts.push({ type: "double" });
+        return 0;
+      case "`":
+        return toggleBacktick(context);
+      case "$":
+        return startExpansion(text, index, { allowAnsi: true });
+      case "(":
+        if (context.depth !== undefined) {
+          context.depth++;
+        }
+        return 0;
+      case ")":
+        return closeParenthesis(text, index, context);
+      case "}":
+        if (context.type === "parameter") {
+          contexts.pop();
+        }
+        return 0;
+      case "#":
+        if (atWordStart && isCommandContext(context)) {
+          contexts.push({ type: "comment" });
+        }
+        return 0;
+      case "<":
+        return startHeredoc(text, index, context);
+      case "\n":
+        startPendingHeredoc();
+        return 0;
+      default:
+        return 0;
     }
   }
-}
-
-function templateEscape(str, context = { type: "unquoted" }) {
-  if (str === "") {
-    return "''";
+  
+  function stepSingleQuoted(char) {
+    if (char === "'") {
+      contexts.pop();
+    }
+    return 0;
   }
   
-  if (context.type === "double-quoted") {
-    // Inside double quotes, we need to escape $, `, \, and "
-    // But we cannot use single quotes here - they'd be literal
-    // Instead, escape the dangerous characters with backslashes
-    return str.replace(/[$`"\\]/g, "\\$&");
+  // $'...' strings, where backslash escapes are interpreted
+  function stepAnsiQuoted(char) {
+    if (escaping) {
+      escaping = false;
+    } else if (char === "\\") {
+      escaping = true;
+    } else if (char === "'") {
+      contexts.pop();
+    }
+    return 0;
   }
   
-  if (context.type === "single-quoted") {
-    // Inside single quotes, we need to handle single quotes specially
-    // We CANNOT escape anything inside single quotes - they prevent ALL
-    // interpretation. But if the value contains single quotes, we need to break
-    // out, escape, and re-enter. Pattern: `before'\''after` where `'\''` is an
-    // escaped single quote outside quotes
-    return str.replaceAll("'", "'\\''");
+  function stepDoubleQuoted(text, index) {
+    const char = text[index];
+    if (escaping) {
+      escaping = false;
+    } else if (char === "\\") {
+      escaping = true;
+    } else if (char === `"`) {
+      contexts.pop();
+    } else if (char === "`") {
+      pushCommandContext({ type: "backtick" });
+    } else if (char === "$") {
+      return startExpansion(text, index, { allowAnsi: false });
+    }
+    return 0;
   }
   
-  // For unquoted context, use single quotes to prevent ALL shell interpretation
-  if (/[\s$`"'\\;|&]/.test(str)) {
-    return `'${str.replaceAll("'", "'\\''")}'`;
+  function stepComment(text, index) {
+    if (text[index] !== "\n") {
+      return 0;
+    }
+    // The newline ends the comment but still counts in the enclosing context
+    contexts.pop();
+    return step(text, index);
   }
   
-  // Safe strings with no spaces can be used as-is
-  return str;
-}
-
-function buildCommandString(strings, values) {
-  let command = "";
-  for (let i = 0; i < strings.length; i++) {
-    command += strings[i];
-    if (i < values.length) {
-      const valueStr = valueToCommandString(values[i]);
-      command += valueStr;
+  // The word after << naming the line that ends a heredoc. Quoting any part
+  // of it turns off expansion in the heredoc body.
+  function stepDelimiter(text, index, context) {
+    const char = text[index];
+    if (context.quote) {
+      if (char === context.quote) {
+        context.quote = "";
+      } else {
+        context.word += char;
+      }
+    } else if (escaping) {
+      escaping = false;
+      context.word += char;
+    } else if (char === "\\") {
+      escaping = true;
+      context.quoted = true;
+      context.started = true;
+    } else if (char === "'" || char === `"`) {
+      context.quote = char;
+      context.quoted = true;
+      context.started = true;
+    } else if (!context.started && (char === " " || char === "\t")) {
+      return 0;
+    } else if (context.started && wordBoundaryPattern.test(char)) {
+      contexts.pop();
+      pendingHeredocs.push(context);
+      return step(text, index);
+    } else {
+      context.word += char;
+      context.started = true;
     }
+    return 0;
   }
-  return command;
-}
-
-function valueToCommandString(value) {
-  if (value && typeof value === "object" && !Array.isArray(value)) {
-    return objectToCLIFlags(value);
-  } else if (Array.isArray(value)) {
-    return arrayToCommandArgs(value);
-  } else {
-    return String(value);
+  
+  function stepHeredoc(text, index, context) {
+    const char = text[index];
+    if (escaping) {
+      escaping = false;
+      // A backslash-newline joins the next line onto this one
+      if (char !== "\n") {
+        context.line += char;
+      }
+      return 0;
+    }
+    
+    if (char === "\n") {
+      endHeredocLine(context);
+      return 0;
+    }
+    
+    context.line += char;
+    if (context.quoted) {
+      return 0;
+    }
+    
+    if (char === "\\") {
+      escaping = true;
+    } else if (char === "`") {
+      pushCommandContext({ type: "backtick" });
+    } else if (char === "$") {
+      return startExpansion(text, index, { allowAnsi: false });
+    }
+    return 0;
   }
-}
-
-function runCommand(command, useShell, isSync, options) {
-  // Trim whitespace
-  command = command.trim();
   
-  // Handle empty commands
-  if (!command) {
-    const error = new ProcessError({
-      message: "Command cannot be empty",
-      code: "EMPTY_COMMAND",
-      output: "",
-      debug: "",
-    });
-    if (options.throw !== false) {
-      throw error;
+  function endHeredocLine(context) {
+    const line = context.stripTabs
+      ? context.line.replace(/^\t+/, "")
+      : context.line;
+    if (line === context.delimiter) {
+      if (context.lineValue) {
+        throw createUnsafeInterpolationError(
+          context.lineValue,
+          "where it would end a heredoc early",
+        );
+      }
+      contexts.pop();
+      wordStart = true;
+      startPendingHeredoc();
     }
-    return new ProcessResult({ ok: false, error, output: "", debug: "" });
+    context.line = "";
+    context.lineValue = 0;
   }
   
-  // Validate configuration
-  if (isSync && options.input && isStream(options.input)) {
-    throw new Error(
-      "Configuration error: Streams are not supported in synchronous mode",
-    );
+  function startPendingHeredoc() {
+    const delimiter = pendingHeredocs.shift();
+    if (delimiter) {
+      contexts.push({
+        type: "heredoc",
+        delimiter: delimiter.word,
+        quoted: delimiter.quoted,
+        stripTabs: delimiter.stripTabs,
+        line: "",
+        lineValue: 0,
+      });
+    }
   }
   
-  if (isSync && options.input === true) {
-    throw new Error(
+  function startHeredoc(text, index, context) {
+    if (text[index + 1] !== "<" || context.type === "arithmetic") {
+      return 0;
+    }
+    // <<< is a here-string, which takes an ordinary word
+    if (text[index + 2] === "<") {
+      return 2;
+    }
+    
+    const stripTabs = text[index + 2] === "-";
+    contexts.push({
+      type: "delimiter",
+      word: "",
+      quote: "",
+      quoted: false,
+      started: false,
+      stripTabs,
+    });
+    return stripTabs ? 2 : 1;
+  }
+  
+  function startExpansion(text, index, { allowAnsi }) {
+    const next = text[index + 1];
+    if (next === "(" && text[index + 2] === "(") {
+      contexts.push({ type: "arithmetic", depth: 0 });
+      return 2;
+    } else if (next === "(") {
+      pushCommandContext({ type: "substitution", depth: 0 });
+      return 1;
+    } else if (next === "{") {
+      contexts.push({ type: "parameter" });
+      return 1;
+    } else if (next === "'" && allowAnsi) {
+      contexts.push({ type: "ansi" });
+      return 1;
+    }
+    
+    afterDollar = index === text.length - 1;
+    return 0;
+  }
+  
+  function closeParenthesis(text, index, context) {
+    if (context.depth > 0) {
+      context.depth--;
+    } else if (context.type === "substitution") {
+      contexts.pop();
+      wordStart = false;
+    } else if (context.type === "arithmetic" && text[index + 1] === ")") {
+      contexts.pop();
+      wordStart = false;
+      return 1;
+    }
+    return 0;
+  }
+  
+  function toggleBacktick(context) {
+    if (context.type === "backtick") {
+      endWord(context);
+      contexts.pop();
+      wordStart = false;
+    } else {
+      pushCommandContext({ type: "backtick" });
+    }
+    return 0;
+  }
+  
+  function pushCommandContext(context) {
+    contexts.push(createCommandContext(context.type, context));
+    wordStart = true;
+  }
+  
+  // Follow the words of a command context far enough to recognize case
+  // statements, whose patterns end with a ) that closes nothing. Returns how
+  // many more characters were consumed when the character was fully handled
+  // here, or undefined to let stepUnquoted handle it.
+  function trackCommandWords(text, index, context, atWordStart) {
+    const char = text[index];
+    const caseStatement = context.cases.at(-1);
+    if (!wordBoundaryPattern.test(char)) {
+      if (char === "#" && atWordStart) {
+        return undefined;
+      }
+      // Quotes, escapes and expansions make a word that is not a keyword
+      if ("\\'\"`$".includes(char)) {
+        context.wordQuoted = true;
+      } else {
+        context.word += char;
+      }
+      return undefined;
+    }
+    
+    endWord(context);
+    const inPatterns = caseStatement?.state === "pattern";
+    switch (char) {
+      case ";":
+        // ;; and ;& end a case branch, and the next pattern follows
+        if (caseStatement?.state === "body" &&
+            (text[index + 1] === ";" || text[index + 1] === "&")) {
+          caseStatement.state = "pattern";
+          caseStatement.inPattern = false;
+          return 1;
+        }
+        context.commandStart = true;
+        return undefined;
+      case "(":
+        // A pattern may start with a ( that has no matching )
+        if (inPatterns && !caseStatement.inPattern) {
+          caseStatement.inPattern = true;
+          return 0;
+        }
+        context.commandStart = true;
+        return undefined;
+      case ")":
+        if (inPatterns) {
+          caseStatement.state = "body";
+          context.commandStart = true;
+          return 0;
+        }
+        context.commandStart = false;
+        return undefined;
+      case "&":
+      case "|":
+      case "\n":
+        context.commandStart = !inPatterns;
+        return undefined;
+      default:
+        return undefined;
+    }
+  }
+  
+  // Act on a complete word of a command context: keywords that start or end
+  // a case statement, or the word and in that follow case
+  function endWord(context) {
+    const { word, wordQuoted, cases } = context;
+    context.word = "";
+    context.wordQuoted = false;
+    if (!word && !wordQuoted) {
+      return;
+    }
+    
+    const keyword = wordQuoted ? null : word;
+    const caseStatement = cases.at(-1);
+    const atCommandStart = context.commandStart;
+    context.commandStart = commandPrefixWords.has(keyword);
+    if (caseStatement?.state === "subject") {
+      caseStatement.state = "in";
+    } else if (caseStatement?.state === "in") {
+      if (keyword === "in") {
+        caseStatement.state = "pattern";
+      }
+    } else if (caseStatement?.state === "pattern") {
+      if (keyword === "esac" && !caseStatement.inPattern) {
+        cases.pop();
+      } else {
+        caseStatement.inPattern = true;
+      }
+    } else if (atCommandStart && keyword === "case") {
+      cases.push({ state: "subject", inPattern: false });
+    } else if (atCommandStart && keyword === "esac" && caseStatement) {
+      cases.pop();
+    }
+  }
+  
+  function isCommandContext(context) {
+    return context.cases !== undefined;
+  }
+  
+  // Return the text to insert for a value, escaped for the current context
+  function addValue(value, number) {
+    if (isCommandContext(contexts.at(-1)) && !isSafeString(value)) {
+      contexts.at(-1).wordQuoted = true;
+    }
+    if (isSafeString(value)) {
+      const text = String(value);
+      addText(text);
+      return text;
+    }
+    
+    if (escaping) {
+      throw createUnsafeInterpolationError(number, "after a backslash");
+    }
+    
+    const context = contexts.at(-1);
+    let text = escapeForContext(value, number, context);
+    wordStart = false;
+    
+    // A value right after a bare $ would be read as part of an expansion.
+    // Inside double quotes an empty "" keeps them apart.
+    if (afterDollar && context.type === "double") {
+      text = `""${text}`;
+    } else if (afterDollar) {
+      throw createUnsafeInterpolationError(number, "directly after a $");
+    }
+    afterDollar = false;
+    
+    // Backslashes, backticks and dollar signs are unescaped once for every
+    // level of backticks before the enclosed command is parsed
+    const backtickDepth = contexts
+      .filter(({ type }) => type === "backtick")
+      .length;
+    for (let level = 0; level < backtickDepth; level++) {
+      text = text.replace(/[\\`$]/g, "\\$&");
+    }
+    return text;
+  }
+  
+  function escapeForContext(value, number, context) {
+    switch (context.type) {
+      case "single":
+        return joinValue(value).replaceAll("'", "'\\''");
+      case "double":
+        return joinValue(value).replace(/[$`"\\]/g, "\\$&");
+      case "heredoc":
+        return escapeForHeredoc(value, number, context);
+      case "arithmetic":
+        if (!integerPattern.test(joinValue(value))) {
+          throw createUnsafeInterpolationError(
+            number,
+            "inside an arithmetic expansion unless it is an integer",
+          );
+        }
+        return joinValue(value);
+      case "parameter":
+        throw createUnsafeInterpolationError(
+          number,
+          "inside a ${...} parameter expansion",
+        );
+      // Only some shells support $'...', and the others read it as $ and a
+      // single-quoted string
+      case "ansi":
+        throw createUnsafeInterpolationError(number, "inside a $'...' string");
+      case "comment":
+        throw createUnsafeInterpolationError(number, "inside a comment");
+      case "delimiter":
+        throw createUnsafeInterpolationError(
+          number,
+          "inside a heredoc delimiter",
+        );
+      default:
+        return valueToShellString(value);
+    }
+  }
+  
+  // Heredoc bodies have no quoting, so a value can only be made safe while it
+  // stays on one line and cannot end the heredoc
+  function escapeForHeredoc(value, number, context) {
+    const text = joinValue(value);
+    if (text.includes("\n")) {
+      throw createUnsafeInterpolationError(
+        number,
+        "containing a newline inside a heredoc",
+      );
+    }
+    
+    const escaped = context.quoted ? text : text.replace(/[\\`$]/g, "\\$&");
+    context.line += escaped;
+    context.lineValue = number;
+    return escaped;
+  }
+  
+  function finish() {
+    const context = contexts.at(-1);
+    if (context.type === "heredoc") {
+      endHeredocLine(context);
+    }
+  }
+  
+  return { addText, addValue, finish };
+}
+
+// Inside quotes a value is a single string, like a quoted cmd word
+function joinValue(value) {
+  return valueToCommandArgs(value).join(" ");
+}
+
+function createUnsafeInterpolationError(number, location) {
+  return new ProcessError({
+    message: `Cannot safely interpolate value ${number} ${location}`,
+    code: "UNSAFE_INTERPOLATION",
+    output: "",
+    debug: "",
+  });
+}
+
+function valueToShellString(value) {
+  if (value && typeof value === "object" && !Array.isArray(value)) {
+    return objectToShellSafeFlags(value);
+  } else if (Array.isArray(value)) {
+    return arrayToShellArgs(value);
+  } else {
+    return shellEscape(value);
+  }
+}
+
+// Split a cmd template into argv. Only the literal template text is
+// tokenized, following POSIX shell quoting: backslash escapes, single and
+// double quotes, and adjacent quoted segments joining into one word. Each
+// interpolated value joins the current word verbatim, while arrays and
+// objects add a word per element or flag.
+function buildCommandArgs(strings, values) {
+  const words = createWordBuilder();
+  for (const [index, string] of strings.entries()) {
+    words.addText(string);
+    if (index < values.length) {
+      words.addValue(values[index]);
+    }
+  }
+  return words.finish();
+}
+
+const whitespacePattern = /\s/;
+
+// Characters a backslash escapes inside double quotes; before any other
+// character the backslash is kept
+const doubleQuoteEscapes = new Set([`"`, "\\", "$", "`"]);
+
+const quoteNames = { "'": "single quote", "\"": "double quote" };
+
+function createWordBuilder() {
+  const words = [];
+  let currentWord = "";
+  let hasWord = false;
+  let quoteChar = "";
+  let quotePosition = null;
+  // Columns count from the start of the template or, as a value's length
+  // depends on how it is rendered, from the end of the last value before them
+  let valueCount = 0;
+  let column = 0;
+  let escaping = false;
+  
+  function addText(text) {
+    for (const char of text) {
+      column++;
+      if (escaping) {
+        addEscaped(char);
+      } else if (char === "\\" && quoteChar !== "'") {
+        escaping = true;
+      } else if (!quoteChar && (char === `"` || char === "'")) {
+        quoteChar = char;
+        quotePosition = { column, valueCount };
+        // Quotes always produce a word, so "" is an empty argument
+        hasWord = true;
+      } else if (quoteChar && char === quoteChar) {
+        quoteChar = "";
+      } else if (!quoteChar && whitespacePattern.test(char)) {
+        endWord();
+      } else {
+        appendToWord(char);
+      }
+    }
+  }
+  
+  function addEscaped(char) {
+    escaping = false;
+    if (char === "\n") {
+      // A backslash-newline continues the line
+      return;
+    }
+    if (quoteChar === `"` && !doubleQuoteEscapes.has(char)) {
+      appendToWord("\\");
+    }
+    appendToWord(char);
+  }
+  
+  function addValue(value) {
+    valueCount++;
+    column = 0;
+    
+    // A backslash has nothing to escape before a value, so it stays literal
+    if (escaping) {
+      escaping = false;
+      appendToWord("\\");
+    }
+    
+    const args = valueToCommandArgs(value);
+    
+    // Inside quotes the whole value belongs to the quoted word
+    if (quoteChar) {
+      appendToWord(args.join(" "));
+      return;
+    }
+    
+    for (const [index, arg] of args.entries()) {
+      if (index > 0) {
+        endWord();
+      }
+      appendToWord(arg);
+    }
+  }
+  
+  function appendToWord(text) {
+    currentWord += text;
+    hasWord = true;
+  }
+  
+  function endWord() {
+    if (hasWord) {
+      words.push(currentWord);
+    }
+    currentWord = "";
+    hasWord = false;
+  }
+  
+  function finish() {
+    if (quoteChar) {
+      throw createUnterminatedQuoteError(quoteChar, quotePosition);
+    }
+    if (escaping) {
+      escaping = false;
+      appendToWord("\\");
+    }
+    endWord();
+    return words;
+  }
+  
+  return { addText, addValue, finish };
+}
+
+function createUnterminatedQuoteError(quoteChar, { column, valueCount }) {
+  let message = `Unterminated ${quoteNames[quoteChar]} at column ${column}`;
+  if (valueCount > 0) {
+    message += ` after value ${valueCount}`;
+  }
+  return new ProcessError({
+    message,
+    code: "UNTERMINATED_QUOTE",
+    output: "",
+    debug: "",
+  });
+}
+
+function valueToCommandArgs(value) {
+  if (value && typeof value === "object" && !Array.isArray(value)) {
+    return objectToCommandArgs(value);
+  } else if (Array.isArray(value)) {
+    return value.filter(hasValue).map(String);
+  } else {
+    return [String(value)];
+  }
+}
+
+function objectToCommandArgs(obj) {
+  return toFlagDescriptors(obj)
+    .filter(shouldIncludeFlag)
+    .map(formatCommandFlag);
+}
+
+function formatCommandFlag({ name, value }) {
+  name = formatFlagName(name);
+  if (value === true) {
+    return name;
+  } else {
+    return `${name}=${value}`;
+  }
+}
+
+// Render argv for display, quoting arguments the way a shell would need
+function formatArgv(argv) {
+  return argv.map(shellEscape).join(" ");
+}
+
+function isEmptyCommand(command) {
+  return Array.isArray(command) ? command.length === 0 : !command.trim();
+}
+
+// Default options set by within() for the commands started in its callback
+const optionScope = new AsyncLocalStorage();
+
+// Layer options over the within() defaults in effect. Options passed later
+// win, except env, whose variables are merged, and a relative cwd, which is
+// resolved against the earlier one like cd would. A cwdMode passed later also
+// wins over an earlier cwd, which would otherwise take precedence over it.
+function mergeOptions(defaults, options) {
+  const merged = { ...defaults, ...options };
+  if (defaults.env && options.env) {
+    merged.env = { ...defaults.env, ...options.env };
+  }
+  if (typeof defaults.cwd === "string" && typeof options.cwd === "string" &&
+      !isAbsolute(options.cwd)) {
+    merged.cwd = join(defaults.cwd, options.cwd);
+  }
+  if (options.cwdMode !== undefined && options.cwd === undefined) {
+    delete merged.cwd;
+  }
+  return merged;
+}
+
+function withScopedOptions(options) {
+  return mergeOptions(optionScope.getStore() ?? {}, options);
+}
+
+// Run a callback with default options for every command started inside it,
+// including from nested async functions. Nested calls add to the defaults.
+function within(options, callback) {
+  if (typeof callback !== "function") {
+    throw new TypeError("within() expects a callback function");
+  }
+  return optionScope.run(withScopedOptions(options), callback);
+}
+
+function runCommand(command, useShell, isSync, options) {
+  // Trim whitespace from shell expressions; cmd argv is already tokenized
+  if (typeof command === "string") {
+    command = command.trim();
+  }
+  
+  // Async commands are supervised by a Process, which reports empty commands
+  // through its own promise
+  if (!isSync) {
+    return new Process(command, { ...options, shell: useShell });
+  }
+  
+  options = withScopedOptions(options);
+  
+  // Handle empty commands
+  if (isEmptyCommand(command)) {
+    return failSync(createEmptyCommandError(), options);
+  }
+  
+  // The event loop is blocked while a sync command runs, so an AbortSignal
+  // can only cancel it before it starts
+  if (options.signal?.aborted) {
+    const error = createAbortError({
+      reason: options.signal.reason,
+      durationMs: 0,
+      output: "",
+      debug: "",
+    });
+    return failSync(error, options);
+  }
+  
+  // Validate configuration
+  const inputKind = classifyInput(options.input);
+  if (inputKind === "stream" || inputKind === "web" ||
+      inputKind === "asyncIterable") {
+    throw new Error(
+      "Configuration error: Streams are not supported in synchronous mode",
+    );
+  }
+  
+  if (options.input === true) {
+    throw new Error(
       "Configuration error: Interactive input (input: true) is not " +
       "supported in synchronous mode",
     );
   }
   
+  if (options.all) {
+    throw new Error(
+      "Configuration error: Interleaved output (all: true) is not " +
+      "supported in synchronous mode",
+    );
+  }
+  
+  if (options.prefix !== undefined) {
+    throw new Error(
+      "Configuration error: Prefixed output (prefix) is not supported in " +
+      "synchronous mode",
+    );
+  }
+  
+  if (hasLiveOutputDestination(options)) {
+    throw new Error(
+      "Configuration error: Forwarding output to a destination is not " +
+      "supported in synchronous mode",
+    );
+  }
+  
+  if (options.maxBuffer !== undefined && !killsOnMaxBuffer(options)) {
+    throw new Error(
+      `Configuration error: overflow: "${options.overflow}" is not ` +
+      "supported in synchronous mode",
+    );
+  }
+  
+  let prepared, redirects;
+  try {
+    prepared = prepareSpawn(command, useShell, options);
+    redirects = openRedirects(options, prepared.spawnOptions.cwd);
+  } catch (error) {
+    if (error instanceof ProcessError) {
+      return failSync(error, options);
+    }
+    throw error;
+  }
+  const { cmd, args, spawnOptions, inputData } = prepared;
+  logCommand(cmd, args, spawnOptions, options);
+  
+  let input = inputKind === "iterable" ? toInputBuffer(inputData) : inputData;
+  if (redirects.input !== null) {
+    try {
+      input = readFileSync(redirects.input);
+    } finally {
+      closeSync(redirects.input);
+    }
+  }
+  
+  return executeSyncCommand(
+    cmd,
+    args,
+    spawnOptions,
+    input,
+    options,
+    redirects,
+  );
+}
+
+function createEmptyCommandError() {
+  return new ProcessError({
+    message: "Command cannot be empty",
+    code: "EMPTY_COMMAND",
+    output: "",
+    debug: "",
+  });
+}
+
+// Variables a command keeps from the parent environment with extendEnv: false
+const isolatedEnvironmentNames = ["PATH", "HOME"];
+
+// Build a child's environment: process.env, or just its allow-listed
+// variables when options.extendEnv is false, then the variables from
+// options.envFile, then options.env. A variable set to undefined is removed.
+function buildEnvironment(options, cwd) {
+  const { env = {}, extendEnv = true } = options;
+  if (typeof env !== "object" || env === null || Array.isArray(env)) {
+    throw new Error("Configuration error: env must be an object");
+  }
+  
+  const environment = {};
+  for (const [name, value] of Object.entries(process.env)) {
+    if (extendEnv || isolatedEnvironmentNames.includes(name)) {
+      environment[name] = value;
+    }
+  }
+  Object.assign(environment, readEnvFiles(options.envFile, environment, cwd));
+  for (const [name, value] of Object.entries(env)) {
+    if (value === undefined) {
+      delete environment[name];
+    } else {
+      environment[name] = String(value);
+    }
+  }
+  return environment;
+}
+
+// Read options.envFile, one path or an array of them, relative to the working
+// directory. Later files override earlier ones, and ${VAR} references see
+// variables from earlier lines and files, then the base environment. A file
+// that cannot be read fails the command with a ProcessError.
+function readEnvFiles(envFile = [], baseEnvironment, cwd) {
+  const variables = {};
+  const lookup = name => variables[name] ?? baseEnvironment[name] ?? "";
+  for (const path of [envFile].flat()) {
+    let text;
+    try {
+      text = readFileSync(resolve(cwd, String(path)), "utf8");
+    } catch (error) {
+      throw new ProcessError({
+        message: error.message,
+        code: error.code,
+        output: "",
+        debug: "",
+      });
+    }
+    Object.assign(variables, parseDotenv(text, lookup));
+  }
+  return variables;
+}
+
+// An assignment with an optional export prefix. The value is single quoted,
+// double quoted (possibly across lines) or runs to the end of the line.
+const dotenvLinePattern = new RegExp(
+  String.raw`^[ \t]*(?:export[ \t]+)?([A-Za-z_][\w.]*)[ \t]*=[ \t]*` +
+  String.raw`('[^']*'|"(?:\\[^]|[^"\\])*"|[^\r\n]*)`,
+  "gm",
+);
+
+const dotenvEscapes = { n: "\n", r: "\r", t: "\t" };
+
+// Parse dotenv text into an object. Single quotes keep a value as is. Double
+// quotes allow escapes like \n and ${VAR} references, which are also
+// expanded in unquoted values, where a " #" starts a comment.
+function parseDotenv(text, lookup) {
+  const assigned = {};
+  const resolveName = name => assigned[name] ?? lookup(name);
+  for (const [, name, rawValue] of text.matchAll(dotenvLinePattern)) {
+    let value;
+    if (rawValue.startsWith("'")) {
+      value = rawValue.slice(1, -1);
+    } else if (rawValue.startsWith("\"")) {
+      value = rawValue.slice(1, -1).replace(
+        /\\([^])|\$\{(\w+)\}/g,
+        (match, escaped, reference) => {
+          if (reference) {
+            return resolveName(reference);
+          }
+          return dotenvEscapes[escaped] ?? escaped;
+        },
+      );
+    } else {
+      value = rawValue
+        .replace(/(^|\s)#.*$/, "")
+        .trim()
+        .replace(/\$\{(\w+)\}/g, (match, reference) => resolveName(reference));
+    }
+    assigned[name] = value;
+  }
+  return assigned;
+}
+
+// Resolve the executable, arguments, spawn options and input for a command
+function prepareSpawn(command, useShell, options) {
   // Determine working directory
-  const callerDir = getCallerDirectory();
-  const workingDir = options.cwd ? options.cwd : callerDir;
+  const workingDir = resolveWorkingDirectory(options);
   
   // Parse command for spawn
   let cmd, args;
   // Always use pipe to capture output, even in interactive mode
   const spawnOptions = {
     stdio: ["pipe", "pipe", "pipe"],
-    env: process.env,
+    env: buildEnvironment(options, workingDir),
     cwd: workingDir,
+    detached: usesProcessGroup(options),
   };
   
   if (useShell) {
     // Use shell execution - pass the full command to spawn with shell: true
-    cmd = command;
+    cmd = Array.isArray(command) ? formatArgv(command) : command;
     args = [];
     spawnOptions.shell = true;
   } else {
-    // Parse command for direct execution
-    // Simple parsing that handles basic quoted arguments
-    const parts = parseCommand(command.trim());
-    cmd = parts[0];
-    args = parts.slice(1);
+    // Direct execution takes argv as is, or tokenizes a command string
+    const argv = Array.isArray(command) ? command : parseCommand(command);
+    cmd = argv[0];
+    args = argv.slice(1);
     spawnOptions.shell = false;
   }
   
-  // Handle input
-  let inputData = null;
-  if (options.input) {
-    if (typeof options.input === "string") {
-      inputData = options.input;
-    } else if (isStream(options.input)) {
-      inputData = options.input;
-    }
+  const { encoding } = options;
+  if (encoding !== undefined && encoding !== "buffer" &&
+      !Buffer.isEncoding(encoding)) {
+    throw new Error(`Configuration error: Unknown encoding "${encoding}"`);
   }
-  
-  if (isSync) {
-    return executeSyncCommand(cmd, args, spawnOptions, inputData, options);
-  } else {
-    return executeAsyncCommand(cmd, args, spawnOptions, inputData, options);
+  validateMaxBuffer(options);
+  validateLiveOutput(options);
+  if (options.verbose !== undefined && typeof options.verbose !== "boolean" &&
+      typeof options.verbose !== "function") {
+    throw new Error(
+      "Configuration error: verbose must be a boolean or a function",
+    );
   }
+  
+  // Handle input
+  const inputData = classifyInput(options.input) ? options.input : null;
+  
+  return { cmd, args, spawnOptions, inputData };
 }
 
 // Add chainable properties using getters
@@ -637,25 +2586,21 @@ function addChainableProps(fn, useShell, isSync, baseOptions = {}) {
   // Safe mode - don't throw on errors
   Object.defineProperty(fn, "safe", {
     get() {
-      const safeFn = (strings, ...values) => {
-        const mergedOptions = { ...baseOptions, throw: false };
-        if (typeof strings === "object" && !Array.isArray(strings)) {
-          const options = { ...strings, ...mergedOptions };
-          return function(templateStrings, ...templateValues) {
-            return executeCommand(
-              templateStrings,
-              templateValues,
-              useShell,
-              isSync,
-              options,
-            );
-          };
-        }
-        return executeCommand(strings, values, useShell, isSync, mergedOptions);
-      };
-      addChainableProps(safeFn, useShell, isSync, 
-                        { ...baseOptions, throw: false });
-      return safeFn;
+      return makeChainedTag(useShell, isSync, {
+        ...baseOptions,
+        throw: false,
+      });
+    },
+    configurable: true,
+  });
+  
+  // Verbose mode - echo the command to stderr before it runs
+  Object.defineProperty(fn, "verbose", {
+    get() {
+      return makeChainedTag(useShell, isSync, {
+        ...baseOptions,
+        verbose: true,
+      });
     },
     configurable: true,
   });
@@ -663,65 +2608,107 @@ function addChainableProps(fn, useShell, isSync, baseOptions = {}) {
   // Interactive mode - alias for output + debug
   Object.defineProperty(fn, "interactive", {
     get() {
-      const interactiveFn = (strings, ...values) => {
-        const mergedOptions = {
-          ...baseOptions,
-          input: true,
-          output: true,
-          debug: true,
-        };
-        if (typeof strings === "object" && !Array.isArray(strings)) {
-          const options = { ...strings, ...mergedOptions };
-          return function(templateStrings, ...templateValues) {
-            return executeCommand(
-              templateStrings,
-              templateValues,
-              useShell,
-              isSync,
-              options,
-            );
-          };
-        }
-        return executeCommand(strings, values, useShell, isSync, mergedOptions);
-      };
-      addChainableProps(
-        interactiveFn,
-        useShell,
-        isSync,
-        { ...baseOptions, input: true, output: true, debug: true },
-      );
-      
-      return interactiveFn;
+      return makeChainedTag(useShell, isSync, {
+        ...baseOptions,
+        input: true,
+        output: true,
+        debug: true,
+      });
     },
     configurable: true,
   });
   
+  // Streaming mode - stdout is left for the caller to iterate
+  if (!isSync) {
+    Object.defineProperty(fn, "stream", {
+      get() {
+        return makeChainedTag(useShell, isSync, {
+          ...baseOptions,
+          stream: true,
+        });
+      },
+      configurable: true,
+    });
+  }
+  
   // Input method
   fn.input = (inputData) => {
-    const inputFn = (strings, ...values) => {
-      const mergedOptions = { ...baseOptions, input: inputData };
-      if (typeof strings === "object" && !Array.isArray(strings)) {
-        const options = { ...strings, ...mergedOptions };
-        return function(templateStrings, ...templateValues) {
-          return executeCommand(
-            templateStrings,
-            templateValues,
-            useShell,
-            isSync,
-            options,
-          );
-        };
-      }
-      return executeCommand(strings, values, useShell, isSync, mergedOptions);
-    };
-    addChainableProps(inputFn, useShell, isSync, 
-                      { ...baseOptions, input: inputData });
-    return inputFn;
+    return makeChainedTag(useShell, isSync, {
+      ...baseOptions,
+      input: inputData,
+    });
+  };
+  
+  // Environment method, merged with variables from earlier calls
+  fn.env = (variables) => {
+    return makeChainedTag(useShell, isSync, {
+      ...baseOptions,
+      env: { ...baseOptions.env, ...variables },
+    });
+  };
+  
+  // File redirection methods, relative to the working directory
+  fn.to = (path) => {
+    return makeChainedTag(useShell, isSync, {
+      ...baseOptions,
+      to: path,
+      append: undefined,
+    });
+  };
+  
+  fn.append = (path) => {
+    return makeChainedTag(useShell, isSync, {
+      ...baseOptions,
+      to: undefined,
+      append: path,
+    });
+  };
+  
+  fn.debugTo = (path) => {
+    return makeChainedTag(useShell, isSync, {
+      ...baseOptions,
+      debugTo: path,
+    });
+  };
+  
+  fn.from = (path) => {
+    return makeChainedTag(useShell, isSync, {
+      ...baseOptions,
+      from: path,
+    });
+  };
+  
+  // Timeout method
+  fn.timeout = (ms) => {
+    return makeChainedTag(useShell, isSync, {
+      ...baseOptions,
+      timeout: ms,
+    });
   };
   
   return fn;
 }
 
+// Create a tag whose chained options win over options passed at call time
+function makeChainedTag(useShell, isSync, chainOptions) {
+  const chainedFn = (strings, ...values) => {
+    if (typeof strings === "object" && !Array.isArray(strings)) {
+      const options = { ...strings, ...chainOptions };
+      return function(templateStrings, ...templateValues) {
+        return executeCommand(
+          templateStrings,
+          templateValues,
+          useShell,
+          isSync,
+          options,
+        );
+      };
+    }
+    return executeCommand(strings, values, useShell, isSync, chainOptions);
+  };
+  return addChainableProps(chainedFn, useShell, isSync, chainOptions);
+}
+
 // Create base execution functions
 const shBase = makeExecTag(true, false);
 const cmdBase = makeExecTag(false, false);
@@ -736,6 +2723,53 @@ const cmd = addChainableProps(cmdBase, false, false);
 sh.sync = addChainableProps(shSyncBase, true, true);
 cmd.sync = addChainableProps(cmdSyncBase, false, true);
 
+// Start a long-lived shell whose state carries over between commands
+sh.session = (options) => new Session(options);
+
+// Scope default options to a callback, like sh.within({ cwd }, async () => {})
+sh.within = within;
+cmd.within = within;
+
+// Connect processes into a pipeline, like cmd`a`.pipe(cmd`b`).pipe(cmd`c`)
+cmd.pipeline = (first, ...rest) => {
+  return rest.reduce(
+    (pipeline, next) => pipeline.pipe(next),
+    new Pipeline([first]),
+  );
+};
+
+const lineBreakPattern = /\r?\n/;
+
+// Decode a byte stream into text without splitting multi-byte characters
+async function* decodeChunks(stream) {
+  const decoder = new StringDecoder("utf8");
+  for await (const chunk of stream) {
+    const text = decoder.write(chunk);
+    if (text) {
+      yield text;
+    }
+  }
+  
+  const remainder = decoder.end();
+  if (remainder) {
+    yield remainder;
+  }
+}
+
+// Split a byte stream into lines, holding back partial lines between chunks
+async function* splitLines(stream) {
+  let partialLine = "";
+  for await (const text of decodeChunks(stream)) {
+    const lines = (partialLine + text).split(lineBreakPattern);
+    partialLine = lines.pop();
+    yield* lines;
+  }
+  
+  if (partialLine) {
+    yield partialLine;
+  }
+}
+
 /**
  * Process class that encapsulates child process execution with streaming
  * output and enhanced control capabilities.
@@ -743,22 +2777,32 @@ cmd.sync = addChainableProps(cmdSyncBase, false, true);
 class Process {
   static #defaults = { immediate: true, shell: true };
   
-  #commandString;
+  #command;
   #config;
+  #started = false;
+  #readingOutput = false;
   #childProcess;
+  #promise;
+  #resolve;
+  #reject;
   
   /**
    * Creates a new Process instance.
-   * @param {string} commandString - The command to execute
+   * @param {string | string[]} command - The command to execute, or its argv
+   *   when running without a shell
    * @param {object} config - Configuration options
    */
-  constructor(commandString, config = {}) {
-    this.#commandString = commandString;
-    this.#config = Object.freeze({ 
+  constructor(command, config = {}) {
+    this.#command = command;
+    this.#config = Object.freeze({
       ...Process.#defaults,
-      ...config,
+      ...withScopedOptions(config),
     });
     
+    this.#promise = new Promise((resolve, reject) => {
+      this.#resolve = resolve;
+      this.#reject = reject;
+    });
     if (this.config.immediate) {
       this.start();
     }
@@ -769,7 +2813,10 @@ class Process {
    * @returns {string} The command string
    */
   get command() {
-    return this.#commandString;
+    if (Array.isArray(this.#command)) {
+      return formatArgv(this.#command);
+    }
+    return this.#command;
   }
   
   /**
@@ -777,7 +2824,7 @@ class Process {
    * @returns {boolean} True if process has started
    */
   get started() {
-    return Boolean(this.#childProcess);
+    return this.#started;
   }
   
   /**
@@ -812,6 +2859,14 @@ class Process {
     return this.#childProcess?.stdin || null;
   }
   
+  /**
+   * Gets the operating system process ID of the running child.
+   * @returns {number | null} The pid, or null if no child was spawned
+   */
+  get pid() {
+    return this.#childProcess?.pid ?? null;
+  }
+  
   /**
    * Starts the process execution.
    */
@@ -819,21 +2874,782 @@ class Process {
     if (this.started) {
       throw new Error(`Process "${this.command}" has already been started`);
     }
-    this.#childProcess = {
-      stdout: new Readable({ read() {} }),
-      stderr: new Readable({ read() {} }),
-      stdin: new Writable({ write() {} }),
-    };
+    this.#started = true;
+    
+    if (this.#config[SETUP_ERROR]) {
+      this.#fail(this.#config[SETUP_ERROR]);
+      return;
+    }
+    
+    if (isEmptyCommand(this.#command)) {
+      this.#fail(createEmptyCommandError());
+      return;
+    }
+    
+    const { signal } = this.#config;
+    if (signal?.aborted) {
+      this.#fail(createAbortError({
+        reason: signal.reason,
+        durationMs: 0,
+        output: "",
+        debug: "",
+      }));
+      return;
+    }
+    
+    let prepared, redirects;
+    try {
+      prepared = prepareSpawn(
+        this.#command,
+        this.#config.shell,
+        this.#config,
+      );
+      redirects = openRedirects(this.#config, prepared.spawnOptions.cwd);
+    } catch (error) {
+      if (!(error instanceof ProcessError)) {
+        throw error;
+      }
+      this.#fail(error);
+      return;
+    }
+    const { cmd, args, spawnOptions, inputData } = prepared;
+    logCommand(cmd, args, spawnOptions, this.#config);
+    
+    // Arguments spawn() rejects, such as ones containing null bytes, fail the
+    // command like any other spawn error
+    try {
+      this.#childProcess = spawn(cmd, args, spawnOptions);
+      if (spawnOptions.detached && this.#childProcess.pid) {
+        trackProcessGroup(this.#childProcess);
+      }
+    } catch (error) {
+      closeRedirects(redirects);
+      this.#fail(new ProcessError({
+        message: error.message,
+        code: error.code,
+        output: "",
+        debug: "",
+      }));
+      return;
+    }
+    
+    const input = redirects.input === null
+      ? inputData
+      : createReadStream(null, { fd: redirects.input });
+    
+    const context = describeSpawn(cmd, args, spawnOptions);
+    superviseChild(
+      this.#childProcess,
+      input,
+      this.#config,
+      context,
+      redirects,
+      () => !pipedStages.has(this),
+    ).then(this.#resolve, this.#reject);
+  }
+  
+  /**
+   * Iterates over stdout as decoded text chunks as they arrive. A failed
+   * command throws its ProcessError once the output is exhausted, and leaving
+   * the loop early kills the child.
+   * @returns {AsyncGenerator<string>} The stdout chunks
+   */
+  [Symbol.asyncIterator]() {
+    this.#readingOutput = true;
+    return this.#read(() => this.output, decodeChunks);
+  }
+  
+  /**
+   * Iterates over stdout line by line, without line terminators. Lines split
+   * across chunks are reassembled, and a final unterminated line is still
+   * yielded when the stream closes.
+   * @returns {AsyncGenerator<string>} The stdout lines
+   */
+  lines() {
+    this.#readingOutput = true;
+    return this.#read(() => this.output, splitLines);
+  }
+  
+  /**
+   * Iterates over stderr line by line, like lines().
+   * @returns {AsyncGenerator<string>} The stderr lines
+   */
+  debugLines() {
+    return this.#read(() => this.debug, splitLines);
+  }
+  
+  async *#read(getStream, parse) {
+    if (!this.started) {
+      this.start();
+    }
+    
+    let finished = false;
+    try {
+      const stream = getStream();
+      if (stream) {
+        yield* parse(stream);
+      }
+      finished = true;
+    } finally {
+      // The caller left the loop and will not await the process it stops
+      if (!finished) {
+        this.kill();
+        this.#promise.catch(() => {});
+      }
+    }
+    
+    await this;
+  }
+  
+  /**
+   * Sends a signal to the running child.
+   * @param {string | number} [signal="SIGTERM"] - The signal to send
+   * @returns {boolean} True if the signal was delivered
+   */
+  kill(signal = DEFAULT_KILL_SIGNAL) {
+    if (!this.#childProcess) {
+      return false;
+    }
+    return killChild(this.#childProcess, signal, this.#config);
+  }
+  
+  /**
+   * Connects stdout to the stdin of another process, like a shell pipe. Call
+   * it before awaiting either process so that no output is missed.
+   * @param {Process | Transform | Function | TransformStream} next - The
+   *   process that reads this one's output, or a JavaScript transform
+   * @returns {Pipeline} The pipeline of both stages
+   */
+  pipe(next) {
+    return new Pipeline([this]).pipe(next);
+  }
+  
+  #fail(error) {
+    if (this.#config.throw !== false) {
+      this.#reject(error);
+    } else {
+      this.#resolve(createFailedResult(error));
+    }
+  }
+  
+  /**
+   * Waits for the process to finish, starting it first if it was deferred.
+   * @param {Function} [onFulfilled] - Receives the ProcessResult
+   * @param {Function} [onRejected] - Receives the ProcessError
+   * @returns {Promise} A promise for the callback's return value
+   */
+  then(onFulfilled, onRejected) {
+    if (!this.started) {
+      this.start();
+    }
+    // In stream mode nothing reads stdout unless the caller iterates or pipes
+    // it, and a child blocked on a full pipe would never exit
+    const { output } = this;
+    if (this.#config.stream && !this.#readingOutput &&
+        output && output.readableFlowing !== true) {
+      output.resume();
+    }
+    return this.#promise.then(onFulfilled, onRejected);
+  }
+  
+  /**
+   * Handles a failed process, like Promise.prototype.catch().
+   * @param {Function} onRejected - Receives the ProcessError
+   * @returns {Promise} A promise for the callback's return value
+   */
+  catch(onRejected) {
+    return this.then(undefined, onRejected);
+  }
+  
+  /**
+   * Runs a callback once the process settles, like
+   * Promise.prototype.finally().
+   * @param {Function} onFinally - Called regardless of outcome
+   * @returns {Promise} A promise that settles like this process
+   */
+  finally(onFinally) {
+    return this.then().finally(onFinally);
+  }
+}
+
+// Processes whose output was no longer read by the next stage of a pipeline,
+// and which were stopped with SIGPIPE as a shell would
+const brokenPipeProcesses = new WeakSet();
+
+// Stages whose output feeds the next stage of a pipeline, and so is not also
+// kept in memory for their own result
+const pipedStages = new WeakSet();
+
+// Feed the stdout of one process to the stdin of the next
+function connectProcesses(source, target) {
+  if (target.config.input || target.config.from) {
+    throw new Error(
+      "Configuration error: A piped command cannot take other input",
+    );
+  }
+  
+  for (const stage of [source, target]) {
+    if (!stage.started) {
+      stage.start();
+    }
+  }
+  
+  const { output } = source;
+  const { input } = target;
+  if (output && input) {
+    pipedStages.add(source);
+    output.pipe(input);
+  }
+  
+  // A source that never spawned has no output to end, so the next stage's
+  // input is closed once the source settles
+  let sourceSettled = false;
+  const onSourceSettled = () => {
+    sourceSettled = true;
+    if (input && !input.writableEnded) {
+      input.end();
+    }
+  };
+  source.then(onSourceSettled, onSourceSettled);
+  
+  const onTargetSettled = () => {
+    if (!sourceSettled) {
+      brokenPipeProcesses.add(source);
+      source.kill("SIGPIPE");
+    }
+  };
+  target.then(onTargetSettled, onTargetSettled);
+}
+
+// Wait for every stage, then report the pipeline like a shell with pipefail:
+// it fails with the rightmost failed stage
+async function settlePipeline(processes, startedAt) {
+  const outcomes = await Promise.all(
+    processes.map(stage => stage.then(result => result, error => error)),
+  );
+  const errors = outcomes.map((outcome, index) => {
+    const error = outcome instanceof Error ? outcome : outcome.error;
+    const brokenPipe = error?.signal === "SIGPIPE" &&
+      brokenPipeProcesses.has(processes[index]);
+    return brokenPipe ? undefined : error;
+  });
+  
+  const stages = outcomes.map((outcome, index) => ({
+    command: processes[index].command,
+    exitCode: outcome.exitCode ?? null,
+    signal: outcome.signal ?? null,
+    debug: outcome.debug ?? "",
+  }));
+  const last = outcomes.at(-1);
+  const failedStage = errors.findLastIndex(Boolean);
+  const outcome = failedStage === -1 ? last : errors[failedStage];
+  const fields = {
+    output: last.output ?? "",
+    debug: stages.map(stage => stage.debug).join(""),
+    stages,
+    exitCode: outcome.exitCode ?? null,
+    signal: outcome.signal ?? null,
+    command: processes.map(stage => stage.command).join(" | "),
+    cwd: last.cwd,
+    pid: last.pid ?? null,
+    startedAt,
+    durationMs: Date.now() - startedAt.getTime(),
+  };
+  
+  if (failedStage === -1) {
+    return new ProcessResult({ ok: true, error: undefined, ...fields });
+  }
+  
+  const stageError = errors[failedStage];
+  const error = new ProcessError({
+    message: `Pipeline stage ${failedStage + 1} ` +
+      `(${stages[failedStage].command}) failed: ${stageError.message}`,
+    code: stageError.code,
+    failedStage,
+    ...fields,
+  });
+  if (processes.at(-1).config.throw !== false) {
+    throw error;
+  }
+  return createFailedResult(error);
+}
+
+// Node streams can run async generator functions and Web TransformStreams,
+// so every JavaScript stage of a pipeline becomes a Duplex
+function toDuplex(transform) {
+  if (typeof transform === "function") {
+    return Duplex.from(transform);
+  } else if (isStream(transform) && typeof transform.write === "function") {
+    return transform;
+  } else if (transform?.readable && transform?.writable) {
+    return Duplex.fromWeb(transform);
+  }
+  throw new TypeError(oneLine`
+    A pipeline stage must be a Process, a Transform stream, an async
+    generator function or a TransformStream
+  `);
+}
+
+function toPipelineStage(stage) {
+  return stage instanceof Process ? stage : new TransformStage(stage);
+}
+
+/**
+ * A JavaScript stage of a pipeline, which settles like a Process once its
+ * stream has finished.
+ */
+class TransformStage {
+  static #config = Object.freeze({});
+  
+  #transform;
+  #duplex;
+  #promise;
+  #killSignal = null;
+  
+  /**
+   * Creates a stage that runs a transform.
+   * @param {Transform | Function | TransformStream} transform - A Node
+   *   Transform stream, an async generator function that receives the input
+   *   chunks, or a Web TransformStream
+   */
+  constructor(transform) {
+    this.#transform = transform;
+    this.#duplex = toDuplex(transform);
+    
+    const startedAt = new Date();
+    const outputChunks = [];
+    this.#duplex.on("data", (chunk) => {
+      if (!pipedStages.has(this)) {
+        outputChunks.push(Buffer.from(chunk));
+      }
+    });
+    
+    const describeRun = () => ({
+      output: Buffer.concat(outputChunks).toString("utf-8"),
+      debug: "",
+      exitCode: null,
+      signal: this.#killSignal,
+      command: this.command,
+      cwd: process.cwd(),
+      pid: null,
+      startedAt,
+      durationMs: Date.now() - startedAt.getTime(),
+    });
+    this.#promise = finished(this.#duplex).then(
+      () => new ProcessResult({
+        ok: true,
+        error: undefined,
+        ...describeRun(),
+      }),
+      (error) => {
+        throw new ProcessError({
+          message: error.message,
+          code: error.code,
+          ...describeRun(),
+        });
+      },
+    );
+    this.#promise.catch(() => {});
+  }
+  
+  /**
+   * Gets the transform this stage was created from.
+   * @returns {Transform | Function | TransformStream} The transform
+   */
+  get transform() {
+    return this.#transform;
+  }
+  
+  /**
+   * Gets a name for the transform, shown in place of a command.
+   * @returns {string} The function or class name
+   */
+  get command() {
+    return this.#transform.name || this.#transform.constructor.name;
+  }
+  
+  get started() {
+    return true;
+  }
+  
+  get config() {
+    return TransformStage.#config;
+  }
+  
+  get output() {
+    return this.#duplex;
+  }
+  
+  get input() {
+    return this.#duplex;
+  }
+  
+  /**
+   * Stops the transform by destroying its stream.
+   * @param {string | number} [signal="SIGTERM"] - Reported as the signal
+   *   that stopped the stage
+   * @returns {boolean} True if the stream was still open
+   */
+  kill(signal = DEFAULT_KILL_SIGNAL) {
+    if (this.#duplex.destroyed) {
+      return false;
+    }
+    this.#killSignal = signal;
+    this.#duplex.destroy();
+    return true;
+  }
+  
+  then(onFulfilled, onRejected) {
+    return this.#promise.then(onFulfilled, onRejected);
+  }
+}
+
+/**
+ * A chain of processes, each one's stdout connected to the next one's stdin.
+ * Stages between processes may also be JavaScript transforms. Awaiting it
+ * waits for every stage and resolves with the last stage's output, or fails
+ * with the rightmost stage that failed.
+ */
+class Pipeline {
+  #processes;
+  #startedAt;
+  #promise;
+  
+  /**
+   * Creates a pipeline of already connected processes.
+   * @param {Process[]} processes - The stages, in order
+   * @param {Date} [startedAt] - When the first stage was connected
+   */
+  constructor(processes, startedAt = new Date()) {
+    this.#processes = processes;
+    this.#startedAt = startedAt;
+  }
+  
+  /**
+   * Gets the process or transform of each stage.
+   * @returns {Array<Process | Transform | Function | TransformStream>} The
+   *   stages, in order
+   */
+  get processes() {
+    return this.#processes.map((stage) => {
+      return stage instanceof TransformStage ? stage.transform : stage;
+    });
+  }
+  
+  /**
+   * Gets the pipeline rendered as a shell would show it.
+   * @returns {string} The stage commands joined with pipes
+   */
+  get command() {
+    return this.#processes.map(stage => stage.command).join(" | ");
+  }
+  
+  /**
+   * Adds a stage that reads the output of the current last stage.
+   * @param {Process | Transform | Function | TransformStream} next - The
+   *   process to add, or a Node Transform stream, async generator function or
+   *   Web TransformStream to run on the output
+   * @returns {Pipeline} A pipeline ending with the new stage
+   */
+  pipe(next) {
+    const stage = toPipelineStage(next);
+    connectProcesses(this.#processes.at(-1), stage);
+    return new Pipeline([...this.#processes, stage], this.#startedAt);
+  }
+  
+  /**
+   * Sends a signal to every stage that is still running.
+   * @param {string | number} [signal="SIGTERM"] - The signal to send
+   * @returns {boolean} True if the signal was delivered to any stage
+   */
+  kill(signal = DEFAULT_KILL_SIGNAL) {
+    return this.#processes
+      .map(stage => stage.kill(signal))
+      .includes(true);
+  }
+  
+  /**
+   * Waits for every stage to finish.
+   * @param {Function} [onFulfilled] - Receives the ProcessResult
+   * @param {Function} [onRejected] - Receives the ProcessError
+   * @returns {Promise} A promise for the callback's return value
+   */
+  then(onFulfilled, onRejected) {
+    this.#promise ??= settlePipeline(this.#processes, this.#startedAt);
+    return this.#promise.then(onFulfilled, onRejected);
+  }
+  
+  /**
+   * Handles a failed pipeline, like Promise.prototype.catch().
+   * @param {Function} onRejected - Receives the ProcessError
+   * @returns {Promise} A promise for the callback's return value
+   */
+  catch(onRejected) {
+    return this.then(undefined, onRejected);
+  }
+  
+  /**
+   * Runs a callback once the pipeline settles, like
+   * Promise.prototype.finally().
+   * @param {Function} onFinally - Called regardless of outcome
+   * @returns {Promise} A promise that settles like this pipeline
+   */
+  finally(onFinally) {
+    return this.then().finally(onFinally);
+  }
+}
+
+// Variable that holds each session command, so that its syntax can be checked
+// before the long-lived shell runs it
+const SESSION_COMMAND_VARIABLE = "__sh_cmd_tag_command";
+
+/**
+ * A long-lived shell that runs commands one after another, so that cd,
+ * exported variables, shell functions and sourced scripts carry over between
+ * them. Unique sentinels delimit each command's output, debug output and exit
+ * status, and each command resolves to its own ProcessResult.
+ */
+class Session {
+  #config;
+  #child;
+  #cwd;
+  #queue = Promise.resolve();
+  #pending = null;
+  #stdout = Buffer.alloc(0);
+  #stderr = Buffer.alloc(0);
+  #spawnError = null;
+  #closed = false;
+  #exited;
+  
+  /**
+   * Starts the shell for a session.
+   * @param {object} [config] - Configuration options, shared by every command
+   */
+  constructor(config = {}) {
+    this.#config = withScopedOptions(config);
+    const { spawnOptions } = prepareSpawn(["/bin/sh"], false, this.#config);
+    this.#cwd = spawnOptions.cwd;
+    this.#child = spawn("/bin/sh", [], {
+      stdio: ["pipe", "pipe", "pipe"],
+      env: spawnOptions.env,
+      cwd: spawnOptions.cwd,
+    });
+    
+    // Keep the session's own pipes on descriptors 3 and 4 for the sentinels,
+    // so that they still arrive after a command such as exec >log 2>&1
+    this.#child.stdin.on("error", () => {});
+    this.#child.stdin.write("exec 3>&1 4>&2\n");
+    
+    // A shell that is gone fails its pending command when it closes
+    this.#child.stdout.on("data", (chunk) => {
+      this.#stdout = Buffer.concat([this.#stdout, chunk]);
+      this.#settleCommand();
+    });
+    this.#child.stderr.on("data", (chunk) => {
+      this.#stderr = Buffer.concat([this.#stderr, chunk]);
+      this.#settleCommand();
+    });
+    this.#child.on("error", (error) => {
+      this.#spawnError ??= error;
+    });
+    this.#exited = new Promise((resolve) => {
+      this.#child.on("close", (exitCode, signal) => {
+        this.#closed = true;
+        const pending = this.#pending;
+        this.#pending = null;
+        pending?.finish(exitCode, signal, this.#stdout, this.#stderr);
+        resolve();
+      });
+    });
+  }
+  
+  /**
+   * Gets the operating system process ID of the session's shell.
+   * @returns {number | null} The pid, or null if the shell failed to start
+   */
+  get pid() {
+    return this.#child.pid ?? null;
+  }
+  
+  /**
+   * Gets whether the session's shell has exited.
+   * @returns {boolean} True once the shell is gone
+   */
+  get closed() {
+    return this.#closed;
+  }
+  
+  /**
+   * Runs a command in the session's shell once earlier commands are done.
+   * Use it as a template tag; values are escaped like they are for sh.
+   * @param {TemplateStringsArray} strings - The template strings
+   * @param {...*} values - The interpolated values
+   * @returns {Promise<ProcessResult>} The command's result, or a rejection
+   *   with its ProcessError
+   */
+  run(strings, ...values) {
+    const result = this.#queue.then(() => this.#execute(strings, values));
+    this.#queue = result.catch(() => {});
+    return result;
+  }
+  
+  /**
+   * Ends the shell once the commands already started have finished.
+   * @returns {Promise<void>} Resolves when the shell has exited
+   */
+  async close() {
+    await this.#queue;
+    this.#child.stdin.end();
+    await this.#exited;
+  }
+  
+  /**
+   * Closes the session at the end of an `await using` block.
+   * @returns {Promise<void>} Resolves when the shell has exited
+   */
+  [Symbol.asyncDispose]() {
+    return this.close();
+  }
+  
+  #execute(strings, values) {
+    if (this.#closed) {
+      return this.#fail(new ProcessError({
+        message: "Session has been closed",
+        code: "SESSION_CLOSED",
+        output: "",
+        debug: "",
+      }));
+    }
+    
+    let command;
+    try {
+      command = buildShellExpression(strings, values).trim();
+    } catch (error) {
+      if (!(error instanceof ProcessError)) {
+        throw error;
+      }
+      return this.#fail(error);
+    }
+    if (!command) {
+      return this.#fail(createEmptyCommandError());
+    }
+    
+    const cwd = this.#cwd;
+    logCommand(command, [], { shell: true, cwd }, {
+      verbose: this.#config.verbose,
+    });
+    
+    // Commands that fail to parse would end the shell, so a separate one
+    // checks them first. stdin and the saved pipes belong to the session, not
+    // to its commands.
+    const sentinel = `__SH_CMD_TAG_${randomUUID().replaceAll("-", "")}__`;
+    const variable = SESSION_COMMAND_VARIABLE;
+    this.#child.stdin.write([
+      `${variable}=${shellEscape(command)}`,
+      `/bin/sh -n -c "$${variable}" 3>&- 4>&- &&`,
+      `  eval "$${variable}" < /dev/null 3>&- 4>&-`,
+      `printf '%s %s %s\\n' ${sentinel} "$?" "$PWD" >&3`,
+      `printf '%s\\n' ${sentinel} >&4`,
+      "",
+    ].join("\n"));
+    
+    const startedAt = new Date();
+    return new Promise((resolve) => {
+      const finish = (exitCode, signal, outputBytes, debugBytes) => {
+        const { encoding } = this.#config;
+        const output = decodeOutput(outputBytes, encoding);
+        const debug = decodeOutput(debugBytes, encoding);
+        const details = {
+          exitCode,
+          signal,
+          command,
+          cwd,
+          pid: this.pid,
+          startedAt,
+          durationMs: Date.now() - startedAt.getTime(),
+        };
+        
+        if (this.#spawnError) {
+          resolve(this.#fail(new ProcessError({
+            message: this.#spawnError.message,
+            code: this.#spawnError.code,
+            output,
+            debug,
+            ...details,
+          })));
+        } else if (exitCode === 0) {
+          resolve(new ProcessResult({
+            ok: true,
+            error: undefined,
+            output,
+            debug,
+            ...details,
+          }));
+        } else {
+          resolve(this.#fail(new ProcessError({
+            message: describeFailure(details, debug),
+            code: exitCode,
+            output,
+            debug,
+            ...details,
+          })));
+        }
+      };
+      this.#pending = { sentinel, finish };
+      this.#settleCommand();
+    });
+  }
+  
+  // Finish the pending command once both of its sentinels have arrived. The
+  // stdout sentinel is followed by the exit status and the new working
+  // directory.
+  #settleCommand() {
+    const pending = this.#pending;
+    if (!pending) {
+      return;
+    }
+    
+    const outputEnd = this.#stdout.indexOf(pending.sentinel);
+    const statusEnd = outputEnd === -1
+      ? -1
+      : this.#stdout.indexOf("\n", outputEnd);
+    const debugEnd = this.#stderr.indexOf(pending.sentinel);
+    const markerEnd = debugEnd === -1
+      ? -1
+      : this.#stderr.indexOf("\n", debugEnd);
+    if (statusEnd === -1 || markerEnd === -1) {
+      return;
+    }
+    
+    const status = this.#stdout.subarray(outputEnd, statusEnd).toString();
+    const [, exitCode, ...cwd] = status.split(" ");
+    const output = this.#stdout.subarray(0, outputEnd);
+    const debug = this.#stderr.subarray(0, debugEnd);
+    this.#stdout = this.#stdout.subarray(statusEnd + 1);
+    this.#stderr = this.#stderr.subarray(markerEnd + 1);
+    this.#cwd = cwd.join(" ");
+    this.#pending = null;
+    pending.finish(Number(exitCode), null, output, debug);
+  }
+  
+  #fail(error) {
+    if (this.#config.throw !== false) {
+      return Promise.reject(error);
+    }
+    return Promise.resolve(createFailedResult(error));
   }
 }
 
 export {
   sh,
   cmd,
+  setDefaultCwdMode,
   ProcessResult,
   ProcessError,
   markSafeString,
   isSafeString,
   shellEscape,
   Process,
+  Pipeline,
+  Session,
 };
@@ -1,8 +1,21 @@
 import { test } from "node:test";
 import { strict as assert } from "node:assert";
 import { spawn, execSync } from "node:child_process";
-import { createReadStream, writeFileSync, unlinkSync } from "node:fs";
+import {
+  createReadStream,
+  mkdirSync,
+  mkdtempSync,
+  readFileSync,
+  rmSync,
+  statSync,
+  writeFileSync,
+  unlinkSync,
+} from "node:fs";
+import { tmpdir } from "node:os";
+import { gunzipSync } from "node:zlib";
 import { join, dirname } from "node:path";
+import { once } from "node:events";
+import { PassThrough, Transform, Writable } from "node:stream";
 import {
   sh,
   cmd,
@@ -11,6 +24,8 @@ import {
   markSafeString,
   isSafeString,
   shellEscape,
+  Process,
+  Pipeline,
 } from "./index.js";
 
 const DEBUG = process.env.DEBUG?.includes("test");
@@ -1154,6 +1169,34 @@ test("sh preserves valid flag names without transformation", async () => {
   assert.deepEqual(actual, expected);
 });
 
+test("sh quotes shell metacharacters in flag values", async () => {
+  const args = {
+    command: "x;echo INJECTED",
+    pipe: "x|cat",
+    glob: "*",
+    group: "(sub)",
+    redirect: "<in>out",
+    background: "a&b",
+    whitespace: "a\tb\nc",
+  };
+  const actual = await sh`printf '%s|' ${args}`;
+  const expected = new ProcessResult({
+    ok: true,
+    output: [
+      "--command=x;echo INJECTED",
+      "--pipe=x|cat",
+      "--glob=*",
+      "--group=(sub)",
+      "--redirect=<in>out",
+      "--background=a&b",
+      "--whitespace=a\tb\nc",
+      "",
+    ].join("|"),
+    debug: "",
+  });
+  assert.deepEqual(actual, expected);
+});
+
 // Security tests - malicious object keys
 test("sh rejects flag names with shell metacharacters", async () => {
   const args = { "$(echo PWNED)": "value" };
@@ -1850,4 +1893,1715 @@ test("input getter provides stdin stream access", async () => {
   const proc = new Process("cat", { immediate: true });
   
   assert.ok(proc.input instanceof Writable);
+  
+  proc.input.end();
+  await proc;
+});
+
+test("awaiting a Process resolves to a ProcessResult", async () => {
+  const { Process } = await import("./index.js");
+  const actual = await new Process(`echo "process output"`);
+  const expected = new ProcessResult({
+    ok: true,
+    output: "process output\n",
+    debug: "",
+  });
+  assert.deepEqual(actual, expected);
+});
+
+test("awaiting a failing Process rejects with a ProcessError", async () => {
+  const { Process } = await import("./index.js");
+  await assert.rejects(
+    async () => {
+      await new Process("echo oops >&2; exit 3");
+    },
+    new ProcessError({
+      message: "Command failed with exit code 3: oops",
+      code: 3,
+      output: "",
+      debug: "oops\n",
+    }),
+  );
+});
+
+test("Process with throw: false resolves with the error", async () => {
+  const { Process } = await import("./index.js");
+  const actual = await new Process("exit 2", { throw: false });
+  const expected = new ProcessResult({
+    ok: false,
+    error: new ProcessError({
+      message: "Command failed with exit code 2",
+      code: 2,
+      output: "",
+      debug: "",
+    }),
+    output: "",
+    debug: "",
+  });
+  assert.deepEqual(actual, expected);
+});
+
+test("Process with shell: false runs the command directly", async () => {
+  const { Process } = await import("./index.js");
+  const proc = new Process(`echo "$HOME" | wc`, { shell: false });
+  const actual = (await proc).output;
+  const expected = "$HOME | wc\n";
+  assert.equal(actual, expected);
+});
+
+test("awaiting a deferred Process starts it", async () => {
+  const { Process } = await import("./index.js");
+  const proc = new Process("echo deferred", { immediate: false });
+  
+  const result = await proc;
+  
+  assert.equal(proc.started, true);
+  const actual = result.output;
+  const expected = "deferred\n";
+  assert.equal(actual, expected);
+});
+
+test("Process output stream emits the child's stdout", async () => {
+  const { Process } = await import("./index.js");
+  const proc = new Process("echo one; echo two");
+  
+  const chunks = [];
+  for await (const chunk of proc.output) {
+    chunks.push(chunk);
+  }
+  await proc;
+  
+  const actual = Buffer.concat(chunks).toString();
+  const expected = "one\ntwo\n";
+  assert.equal(actual, expected);
+});
+
+test("Process input stream feeds the child's stdin", async () => {
+  const { Process } = await import("./index.js");
+  const proc = new Process("cat");
+  
+  proc.input.end("written to stdin");
+  
+  const actual = (await proc).output;
+  const expected = "written to stdin";
+  assert.equal(actual, expected);
+});
+
+test("Process supports catch() and finally()", async () => {
+  const { Process } = await import("./index.js");
+  let finallyCalled = false;
+  
+  const error = await new Process("exit 5")
+    .finally(() => {
+      finallyCalled = true;
+    })
+    .catch(error => error);
+  
+  assert.ok(error instanceof ProcessError);
+  const actual = { code: error.code, finallyCalled };
+  const expected = { code: 5, finallyCalled: true };
+  assert.deepEqual(actual, expected);
+});
+
+test("sh`` returns a Process", async () => {
+  const proc = sh`echo "tagged"`;
+  
+  assert.ok(proc instanceof Process);
+  const actual = (await proc).output;
+  const expected = "tagged\n";
+  assert.equal(actual, expected);
+});
+
+test("chained and configured tags return a Process", async () => {
+  const processes = [
+    sh.safe`exit 1`,
+    sh({ throw: false })`exit 1`,
+    sh.input("data")`cat`,
+    cmd.safe.input("data")`cat`,
+    cmd({ output: DEBUG })`echo configured`,
+  ];
+  
+  const actual = processes.map(proc => proc instanceof Process);
+  const expected = [true, true, true, true, true];
+  assert.deepEqual(actual, expected);
+  
+  await Promise.all(processes);
+});
+
+test("sh`` Process exposes the running child's pid", async () => {
+  const proc = sh`echo $$`;
+  
+  const result = await proc;
+  
+  const actual = result.output;
+  const expected = `${proc.pid}\n`;
+  assert.equal(actual, expected);
+});
+
+test("cmd`` Process can be killed while running", async () => {
+  const proc = cmd.safe`sleep 10`;
+  
+  const killed = proc.kill();
+  const result = await proc;
+  
+  const actual = { killed, ok: result.ok };
+  const expected = { killed: true, ok: false };
+  assert.deepEqual(actual, expected);
+});
+
+test("sh.safe`` resolves with an error for an empty command", async () => {
+  const actual = await sh.safe`  `;
+  const expected = new ProcessResult({
+    ok: false,
+    error: new ProcessError({
+      message: "Command cannot be empty",
+      code: "EMPTY_COMMAND",
+      output: "",
+      debug: "",
+    }),
+    output: "",
+    debug: "",
+  });
+  assert.deepEqual(actual, expected);
+});
+
+test("sh.stream`` yields stdout chunks as they arrive", async () => {
+  const chunks = [];
+  for await (const chunk of sh.stream`echo one; sleep 0.1; echo two`) {
+    chunks.push(chunk);
+  }
+  
+  const actual = chunks;
+  const expected = ["one\n", "two\n"];
+  assert.deepEqual(actual, expected);
+});
+
+test("sh.stream`` throws a ProcessError after a failed command", async () => {
+  const chunks = [];
+  
+  await assert.rejects(
+    async () => {
+      for await (const chunk of sh.stream`echo partial; exit 3`) {
+        chunks.push(chunk);
+      }
+    },
+    new ProcessError({
+      message: "Command failed with exit code 3",
+      code: 3,
+      output: "",
+      debug: "",
+    }),
+  );
+  
+  const actual = chunks;
+  const expected = ["partial\n"];
+  assert.deepEqual(actual, expected);
+});
+
+test("sh.safe.stream`` does not throw after a failed command", async () => {
+  const chunks = [];
+  for await (const chunk of sh.safe.stream`echo partial; exit 3`) {
+    chunks.push(chunk);
+  }
+  
+  const actual = chunks;
+  const expected = ["partial\n"];
+  assert.deepEqual(actual, expected);
+});
+
+test("cmd.input().stream`` streams the command's output", async () => {
+  const chunks = [];
+  for await (const chunk of cmd.input("piped input").stream`cat`) {
+    chunks.push(chunk);
+  }
+  
+  const actual = chunks.join("");
+  const expected = "piped input";
+  assert.equal(actual, expected);
+});
+
+test("breaking out of a stream kills the child", async () => {
+  const proc = cmd.safe.stream`
+    node -e "console.log('first'); setTimeout(() => {}, 10000)"
+  `;
+  
+  for await (const chunk of proc) {
+    break;
+  }
+  const result = await proc;
+  
+  const actual = result.ok;
+  const expected = false;
+  assert.equal(actual, expected);
+});
+
+test("breaking out of a stream leaves no unhandled rejection", async () => {
+  const script = `
+    import { cmd } from ${JSON.stringify(join(__dirname, "index.js"))};
+    for await (const chunk of cmd.stream\`echo first; sleep 10\`) {
+      break;
+    }
+  `;
+  const actual = await cmd.safe`
+    ${process.execPath} --input-type=module -e ${script}
+  `;
+  
+  assert.equal(actual.ok, true, actual.debug);
+});
+
+test(
+  "a failing process that is never awaited is an unhandled rejection",
+  async () => {
+  const script = `
+    import { cmd } from ${JSON.stringify(join(__dirname, "index.js"))};
+    cmd\`nonexistent-command-12345\`;
+  `;
+  const actual = await cmd.safe`
+    ${process.execPath} --input-type=module -e ${script}
+  `;
+  
+  assert.equal(actual.exitCode, 1);
+  assert.match(actual.debug, /ProcessError: .*ENOENT/);
+});
+
+test("sh.sync has no stream variant", () => {
+  const actual = sh.sync.stream;
+  const expected = undefined;
+  assert.equal(actual, expected);
+});
+
+test("Process lines() reassembles lines split across chunks", async () => {
+  const script = [
+    `process.stdout.write("fir");`,
+    `setTimeout(() => process.stdout.write("st\\r\\nsec"), 50);`,
+    `setTimeout(() => process.stdout.write("ond\\nlast"), 100);`,
+  ].join(" ");
+  
+  const lines = [];
+  for await (const line of sh`node -e ${script}`.lines()) {
+    lines.push(line);
+  }
+  
+  const actual = lines;
+  const expected = ["first", "second", "last"];
+  assert.deepEqual(actual, expected);
+});
+
+test("Process debugLines() iterates over stderr lines", async () => {
+  const lines = [];
+  for await (const line of sh`echo out; echo a >&2; echo b >&2`.debugLines()) {
+    lines.push(line);
+  }
+  
+  const actual = lines;
+  const expected = ["a", "b"];
+  assert.deepEqual(actual, expected);
+});
+
+test("sh.stream`` lines() throws a ProcessError after a failure", async () => {
+  const lines = [];
+  
+  await assert.rejects(
+    async () => {
+      for await (const line of sh.stream`echo one; exit 4`.lines()) {
+        lines.push(line);
+      }
+    },
+    { name: "ProcessError", code: 4 },
+  );
+  
+  const actual = lines;
+  const expected = ["one"];
+  assert.deepEqual(actual, expected);
+});
+
+test("sh rejects with a ProcessError when it times out", async () => {
+  const error = await sh({ timeout: 100 })`echo partial; sleep 5`
+    .catch(error => error);
+  
+  assert.ok(error instanceof ProcessError);
+  const timeoutMessage = /^Command timed out after 100ms \(ran for \d+ms\)/;
+  assert.match(error.message, timeoutMessage);
+  const actual = {
+    code: error.code,
+    timedOut: error.timedOut,
+    output: error.output,
+  };
+  const expected = { code: "ETIMEDOUT", timedOut: true, output: "partial\n" };
+  assert.deepEqual(actual, expected);
+});
+
+test(
+  "sh.timeout() escalates to SIGKILL when the signal is ignored",
+  async () => {
+  const startedAt = Date.now();
+  const result = await sh.safe.timeout(100)({ forceKillAfter: 100 })`
+    trap "" TERM
+    sleep 5
+  `;
+  const elapsed = Date.now() - startedAt;
+  
+  assert.ok(elapsed < 2000, `took ${elapsed}ms`);
+  const actual = { ok: result.ok, timedOut: result.error.timedOut };
+  const expected = { ok: false, timedOut: true };
+  assert.deepEqual(actual, expected);
+});
+
+test("sh.timeout() sends the configured kill signal", async () => {
+  const result = await sh.safe({ timeout: 100, killSignal: "SIGINT" })`
+    trap "echo interrupted; exit 1" INT
+    sleep 5 & wait
+  `;
+  
+  const actual = result.output;
+  const expected = "interrupted\n";
+  assert.equal(actual, expected);
+});
+
+test("sh does not time out commands that finish in time", async () => {
+  const actual = await sh.timeout(5000)`echo "in time"`;
+  const expected = new ProcessResult({
+    ok: true,
+    output: "in time\n",
+    debug: "",
+  });
+  assert.deepEqual(actual, expected);
+});
+
+test("sh.sync throws a ProcessError when it times out", () => {
+  const startedAt = Date.now();
+  const error = captureError(() => {
+    sh.sync({ timeout: 100, forceKillAfter: 100 })`
+      trap "" TERM
+      echo partial
+      sleep 5
+    `;
+  });
+  const elapsed = Date.now() - startedAt;
+  
+  assert.ok(error instanceof ProcessError);
+  assert.ok(elapsed < 2000, `took ${elapsed}ms`);
+  assert.match(error.message, /^Command timed out after 100ms/);
+  const actual = { timedOut: error.timedOut, output: error.output };
+  const expected = { timedOut: true, output: "partial\n" };
+  assert.deepEqual(actual, expected);
+});
+
+test("cmd.sync.timeout() returns the result when in time", () => {
+  const actual = cmd.sync.timeout(5000).input("timed input")`cat`;
+  const expected = new ProcessResult({
+    ok: true,
+    output: "timed input",
+    debug: "",
+  });
+  assert.deepEqual(actual, expected);
+});
+
+function captureError(callback) {
+  try {
+    callback();
+  } catch (error) {
+    return error;
+  }
+}
+
+test("sh rejects with an aborted ProcessError on abort", async () => {
+  const controller = new AbortController();
+  const proc = sh({ signal: controller.signal })`echo started; sleep 5`;
+  
+  setTimeout(() => controller.abort("client disconnected"), 100);
+  const error = await proc.catch(error => error);
+  
+  assert.ok(error instanceof ProcessError);
+  assert.match(error.message, /^Command was aborted after \d+ms/);
+  const actual = {
+    code: error.code,
+    aborted: error.aborted,
+    reason: error.reason,
+    output: error.output,
+  };
+  const expected = {
+    code: "ABORT_ERR",
+    aborted: true,
+    reason: "client disconnected",
+    output: "started\n",
+  };
+  assert.deepEqual(actual, expected);
+});
+
+test("aborting stops the processes a shell command started", async () => {
+  const controller = new AbortController();
+  const startedAt = Date.now();
+  const proc = sh.safe({ signal: controller.signal })`sleep 5 & wait`;
+  
+  setTimeout(() => controller.abort(), 100);
+  const result = await proc;
+  const elapsed = Date.now() - startedAt;
+  
+  assert.ok(elapsed < 2000, `took ${elapsed}ms`);
+  const actual = { ok: result.ok, aborted: result.error.aborted };
+  const expected = { ok: false, aborted: true };
+  assert.deepEqual(actual, expected);
+});
+
+test("a parent stopped by SIGINT leaves no orphaned processes", async () => {
+  const script = `
+    import { sh } from ${JSON.stringify(join(__dirname, "index.js"))};
+    for await (const line of sh.stream.timeout(10000)\`
+      sleep 10 & echo $!; wait
+    \`.lines()) {
+      console.log(line);
+    }
+  `;
+  const parent = spawn(process.execPath, [
+    "--input-type=module",
+    "-e",
+    script,
+  ]);
+  const sleepPid = await new Promise(resolve => {
+    parent.stdout.once("data", chunk => resolve(String(chunk).trim()));
+  });
+  
+  parent.kill("SIGINT");
+  const [, signal] = await once(parent, "exit");
+  await new Promise(resolve => setTimeout(resolve, 200));
+  
+  // Zombies count as stopped, in case nothing reaps the orphan
+  const { output } = await sh.safe`ps -o stat= -p ${sleepPid}`;
+  assert.equal(signal, "SIGINT");
+  assert.match(output, /^Z?\s*$/, `sleep ${sleepPid} is still running`);
+});
+
+test("cmd.safe resolves when its signal was already aborted", async () => {
+  const controller = new AbortController();
+  const reason = new Error("cancelled");
+  controller.abort(reason);
+  
+  const proc = cmd.safe({ signal: controller.signal })`echo never`;
+  const result = await proc;
+  
+  assert.equal(proc.pid, null);
+  const actual = {
+    ok: result.ok,
+    aborted: result.error.aborted,
+    reason: result.error.reason,
+  };
+  const expected = { ok: false, aborted: true, reason };
+  assert.deepEqual(actual, expected);
+});
+
+test("Process accepts an AbortSignal", async () => {
+  const controller = new AbortController();
+  const proc = new Process("sleep 5", {
+    shell: false,
+    signal: controller.signal,
+  });
+  
+  controller.abort();
+  const error = await proc.catch(error => error);
+  
+  const actual = error.aborted;
+  const expected = true;
+  assert.equal(actual, expected);
+});
+
+test("sh.sync throws when its signal was already aborted", () => {
+  const signal = AbortSignal.abort("too late");
+  
+  const error = captureError(() => {
+    sh.sync({ signal })`echo never`;
+  });
+  
+  const actual = { aborted: error.aborted, reason: error.reason };
+  const expected = { aborted: true, reason: "too late" };
+  assert.deepEqual(actual, expected);
+});
+
+test("ProcessResult records how the command ran", async () => {
+  const proc = sh`echo details`;
+  const result = await proc;
+  
+  assert.ok(result.startedAt instanceof Date);
+  assert.equal(typeof result.durationMs, "number");
+  const actual = {
+    exitCode: result.exitCode,
+    signal: result.signal,
+    command: result.command,
+    cwd: result.cwd,
+    pid: result.pid,
+  };
+  const expected = {
+    exitCode: 0,
+    signal: null,
+    command: "echo details",
+    cwd: __dirname,
+    pid: proc.pid,
+  };
+  assert.deepEqual(actual, expected);
+});
+
+test("execution details do not change how results compare", async () => {
+  const result = await sh`echo details`;
+  
+  const actual = Object.keys(result);
+  const expected = ["ok", "error", "output", "debug"];
+  assert.deepEqual(actual, expected);
+});
+
+test("ProcessError reports the signal that killed the command", async () => {
+  const proc = cmd`sleep 5`;
+  proc.kill("SIGKILL");
+  
+  const error = await proc.catch(error => error);
+  
+  const actual = {
+    message: error.message,
+    code: error.code,
+    exitCode: error.exitCode,
+    signal: error.signal,
+    command: error.command,
+  };
+  const expected = {
+    message: "Command was killed by SIGKILL",
+    code: null,
+    exitCode: null,
+    signal: "SIGKILL",
+    command: "sleep 5",
+  };
+  assert.deepEqual(actual, expected);
+});
+
+test("sh.safe result carries the failed command's details", async () => {
+  const result = await sh.safe`exit 9`;
+  
+  const actual = {
+    exitCode: result.exitCode,
+    errorExitCode: result.error.exitCode,
+    command: result.error.command,
+  };
+  const expected = { exitCode: 9, errorExitCode: 9, command: "exit 9" };
+  assert.deepEqual(actual, expected);
+});
+
+test("sh.sync records the signal and run details", () => {
+  const result = sh.sync.safe`kill -9 $$`;
+  
+  assert.ok(result.startedAt instanceof Date);
+  assert.ok(result.pid > 0);
+  const actual = {
+    message: result.error.message,
+    exitCode: result.exitCode,
+    signal: result.signal,
+    command: result.command,
+    cwd: result.cwd,
+  };
+  const expected = {
+    message: "Command was killed by SIGKILL",
+    exitCode: null,
+    signal: "SIGKILL",
+    command: "kill -9 $$",
+    cwd: __dirname,
+  };
+  assert.deepEqual(actual, expected);
+});
+
+const printArgsScript = "console.log(JSON.stringify(process.argv.slice(1)))";
+
+async function cmdArgs(strings, ...values) {
+  const result = await cmd(strings, ...values);
+  return JSON.parse(result.output);
+}
+
+test("cmd passes an interpolated value as a single argument", async () => {
+  const filename = "my file.txt";
+  const actual = await cmdArgs`node -e ${printArgsScript} -- ${filename}`;
+  const expected = ["my file.txt"];
+  assert.deepEqual(actual, expected);
+});
+
+test("cmd passes quote characters in values through unchanged", async () => {
+  const values = [`it's`, `say "hi"`, `a'b"c`];
+  const actual = await cmdArgs`
+    node -e ${printArgsScript} -- ${values[0]} ${values[1]} ${values[2]}
+  `;
+  const expected = [`it's`, `say "hi"`, `a'b"c`];
+  assert.deepEqual(actual, expected);
+});
+
+test("cmd joins values to the surrounding word", async () => {
+  const name = "two words";
+  const actual = await cmdArgs`
+    node -e ${printArgsScript} -- --name=${name} "quoted ${name}" pre${name}post
+  `;
+  const expected = [
+    "--name=two words",
+    "quoted two words",
+    "pretwo wordspost",
+  ];
+  assert.deepEqual(actual, expected);
+});
+
+test("cmd passes an empty string value as an empty argument", async () => {
+  const actual = await cmdArgs`node -e ${printArgsScript} -- ${""} end`;
+  const expected = ["", "end"];
+  assert.deepEqual(actual, expected);
+});
+
+test("cmd passes each array element as its own argument", async () => {
+  const files = ["a b.txt", "c.txt", null];
+  const actual = await cmdArgs`node -e ${printArgsScript} -- ${files}`;
+  const expected = ["a b.txt", "c.txt"];
+  assert.deepEqual(actual, expected);
+});
+
+test("cmd passes each object flag as its own argument", async () => {
+  const flags = { message: "hello world", quiet: true, verbose: false };
+  const actual = await cmdArgs`node -e ${printArgsScript} -- ${flags}`;
+  const expected = ["--message=hello world", "--quiet"];
+  assert.deepEqual(actual, expected);
+});
+
+test("cmd.sync passes interpolated values as single arguments", () => {
+  const result = cmd.sync`node -e ${printArgsScript} -- ${"x y"} ${["z"]}`;
+  
+  const actual = JSON.parse(result.output);
+  const expected = ["x y", "z"];
+  assert.deepEqual(actual, expected);
+});
+
+test("cmd Process shows its argv as a quoted command", async () => {
+  const proc = cmd`echo ${"my file.txt"}`;
+  await proc;
+  
+  const actual = proc.command;
+  const expected = "echo 'my file.txt'";
+  assert.equal(actual, expected);
+});
+
+test("cmd applies backslash escapes in template text", async () => {
+  const actual = await cmdArgs`
+    node -e ${printArgsScript} -- a\\ b 'x\\y' "q\\"\\$\\z" \\
+      end
+  `;
+  const expected = ["a b", "x\\y", "q\"$\\z", "end"];
+  assert.deepEqual(actual, expected);
+});
+
+test("cmd joins adjacent quoted segments into one word", async () => {
+  const actual = await cmdArgs`node -e ${printArgsScript} -- a"b c"d 'e'"f"`;
+  const expected = ["ab cd", "ef"];
+  assert.deepEqual(actual, expected);
+});
+
+test("cmd passes empty quotes as an empty argument", async () => {
+  const actual = await cmdArgs`node -e ${printArgsScript} -- "" '' end`;
+  const expected = ["", "", "end"];
+  assert.deepEqual(actual, expected);
+});
+
+test("cmd rejects for an unterminated quote", async () => {
+  const error = await cmd`echo "hello world`.catch(error => error);
+  
+  assert.ok(error instanceof ProcessError);
+  assert.equal(error.code, "UNTERMINATED_QUOTE");
+  assert.equal(error.message, "Unterminated double quote at column 6");
+});
+
+test("cmd counts unterminated quote columns from the last value", async () => {
+  const error = await cmd`echo ${"longvalue"} "abc`.catch(error => error);
+  
+  assert.equal(error.code, "UNTERMINATED_QUOTE");
+  assert.equal(
+    error.message,
+    "Unterminated double quote at column 2 after value 1",
+  );
+});
+
+test("cmd.safe resolves for an unterminated quote", async () => {
+  const result = await cmd.safe`echo 'hello world`;
+  const syncResult = cmd.sync.safe`echo 'hello world`;
+  
+  assert.equal(result.ok, false);
+  assert.equal(result.error.code, "UNTERMINATED_QUOTE");
+  assert.equal(syncResult.ok, false);
+  assert.equal(syncResult.error.code, "UNTERMINATED_QUOTE");
+});
+
+test("sh escapes a value that follows another quoted value", async () => {
+  const first = "hello";
+  const second = "it's $(echo PWNED)";
+  const result = await sh`echo "${first}" "${second}"`;
+  
+  const actual = result.output;
+  const expected = "hello it's $(echo PWNED)\n";
+  assert.equal(actual, expected);
+});
+
+test("sh escapes values inside command substitution", async () => {
+  const malicious = "x\" \"$(echo PWNED)";
+  const result = await sh`echo "$(printf '%s' "${malicious}")"`;
+  
+  const actual = result.output;
+  const expected = "x\" \"$(echo PWNED)\n";
+  assert.equal(actual, expected);
+});
+
+test("sh escapes values after case patterns in substitutions", async () => {
+  const malicious = "x\"; echo PWNED; \"";
+  const quoted = await sh`
+    printf '%s\n' "$(case a in a) printf '%s' "${malicious}";; esac)"
+  `;
+  const unquoted = await sh`
+    printf '%s\n' "$(case a in (a) printf '%s' ${malicious};; esac)"
+  `;
+  
+  const expected = "x\"; echo PWNED; \"\n";
+  assert.equal(quoted.output, expected);
+  assert.equal(unquoted.output, expected);
+});
+
+test("sh escapes values inside backticks", async () => {
+  const malicious = "`echo PWNED` \\ $HOME";
+  const result = await sh`echo \`printf '%s' ${malicious}\``;
+  
+  const actual = result.output;
+  const expected = "`echo PWNED` \\ $HOME\n";
+  assert.equal(actual, expected);
+});
+
+test("sh escapes a value after an escaped double quote", async () => {
+  const malicious = "a; echo PWNED";
+  const result = await sh`echo \\"${malicious}`;
+  
+  const actual = result.output;
+  const expected = "\"a; echo PWNED\n";
+  assert.equal(actual, expected);
+});
+
+test("sh escapes values inside heredocs", async () => {
+  const malicious = "$(echo PWNED) `echo PWNED` \\";
+  const result = await sh`
+    cat <<END
+${malicious}
+END
+  `;
+  
+  const actual = result.output;
+  const expected = "$(echo PWNED) `echo PWNED` \\\n";
+  assert.equal(actual, expected);
+});
+
+test("sh accepts integers inside arithmetic expansion", async () => {
+  const result = await sh`echo $((${40} + 2))`;
+  
+  const actual = result.output;
+  const expected = "42\n";
+  assert.equal(actual, expected);
+});
+
+test("sh rejects values it cannot make safe", async () => {
+  const cases = [
+    [() => sh`echo hi # ${"comment"}`, "inside a comment"],
+    [() => sh`cat <<${"END"}`, "inside a heredoc delimiter"],
+    [() => sh`echo $((${"a[$(id)]"}))`, "inside an arithmetic expansion"],
+    [() => sh`cat <<END\n${"END"}\nEND`, "where it would end a heredoc"],
+    [() => sh`cat <<END\n${"a\nb"}\nEND`, "containing a newline"],
+  ];
+  
+  for (const [callback, location] of cases) {
+    const error = await callback().catch(error => error);
+    assert.ok(error instanceof ProcessError);
+    assert.equal(error.code, "UNSAFE_INTERPOLATION");
+    assert.match(error.message, /^Cannot safely interpolate value 1 /);
+    assert.ok(error.message.includes(location), error.message);
+  }
+});
+
+test("sh.safe resolves for values it cannot make safe", async () => {
+  const result = await sh.safe`echo hi # ${"comment"}`;
+  const syncResult = sh.sync.safe`echo hi # ${"comment"}`;
+  const syncError = captureError(() => sh.sync`echo hi # ${"comment"}`);
+  
+  assert.equal(result.ok, false);
+  assert.equal(result.error.code, "UNSAFE_INTERPOLATION");
+  assert.equal(syncResult.ok, false);
+  assert.equal(syncResult.error.code, "UNSAFE_INTERPOLATION");
+  assert.equal(syncError.code, "UNSAFE_INTERPOLATION");
+});
+
+test("cmd pipes stdout into the next command", async () => {
+  const result = await cmd`printf ${"b\na\nc\n"}`
+    .pipe(cmd`sort`)
+    .pipe(cmd`head -n 2`);
+  
+  const actual = result.output;
+  const expected = "a\nb\n";
+  assert.equal(actual, expected);
+});
+
+test("cmd.pipeline connects each stage to the next", async () => {
+  const pipeline = cmd.pipeline(cmd`printf ${"one\ntwo\n"}`, cmd`wc -l`);
+  assert.ok(pipeline instanceof Pipeline);
+  const result = await pipeline;
+  
+  const actual = result.output.trim();
+  const expected = "2";
+  assert.equal(actual, expected);
+});
+
+test("pipeline result exposes each stage", async () => {
+  const result = await cmd`printf ${"x"}`.pipe(cmd`cat`);
+  
+  const actual = result.stages;
+  const expected = [
+    { command: "printf x", exitCode: 0, signal: null, debug: "" },
+    { command: "cat", exitCode: 0, signal: null, debug: "" },
+  ];
+  assert.deepEqual(actual, expected);
+});
+
+test("pipeline stages do not keep the output they pass on", async () => {
+  const producer = cmd`printf ${"b\na\n"}`;
+  async function* passThrough(source) {
+    yield* source;
+  }
+  const result = await producer.pipe(passThrough).pipe(cmd`sort`);
+  
+  const actual = [(await producer).output, result.output];
+  const expected = ["", "a\nb\n"];
+  assert.deepEqual(actual, expected);
+});
+
+test("pipeline fails with the rightmost failed stage", async () => {
+  const pipeline = cmd`printf ${"x\n"}`
+    .pipe(cmd`grep nothing`)
+    .pipe(cmd`cat`);
+  const error = await pipeline.catch(error => error);
+  
+  assert.ok(error instanceof ProcessError);
+  assert.equal(error.failedStage, 1);
+  assert.equal(error.exitCode, 1);
+  assert.match(error.message, /^Pipeline stage 2 \(grep nothing\) failed: /);
+  assert.deepEqual(error.stages.map(stage => stage.exitCode), [0, 1, 0]);
+});
+
+test("pipeline stops earlier stages once a later one exits", async () => {
+  const result = await cmd`yes`.pipe(cmd`head -n 2`);
+  
+  assert.equal(result.output, "y\ny\n");
+  assert.equal(result.stages[0].signal, "SIGPIPE");
+});
+
+test("safe pipeline resolves when a stage cannot be spawned", async () => {
+  const result = await cmd`nonexistent-command-12345`.pipe(cmd.safe`cat`);
+  
+  assert.equal(result.ok, false);
+  assert.equal(result.error.failedStage, 0);
+  assert.equal(result.stages.length, 2);
+});
+
+test("pipe runs output through an async generator function", async () => {
+  async function* upperCase(source) {
+    for await (const chunk of source) {
+      yield String(chunk).toUpperCase();
+    }
+  }
+  const result = await cmd`printf ${"b\na\n"}`
+    .pipe(upperCase)
+    .pipe(cmd`sort`);
+  
+  assert.equal(result.output, "A\nB\n");
+  assert.equal(result.stages[1].command, "upperCase");
+});
+
+test("pipe runs output through a Node Transform stream", async () => {
+  const transform = new Transform({
+    transform(chunk, encoding, callback) {
+      callback(null, String(chunk).replaceAll("a", "o"));
+    },
+  });
+  const result = await cmd`printf ${"banana"}`.pipe(transform);
+  
+  const actual = result.output;
+  const expected = "bonono";
+  assert.equal(actual, expected);
+});
+
+test("pipe runs output through a Web TransformStream", async () => {
+  const reverse = new TransformStream({
+    transform(chunk, controller) {
+      const text = new TextDecoder().decode(chunk);
+      controller.enqueue([...text].reverse().join(""));
+    },
+  });
+  const result = await cmd`printf ${"abc"}`.pipe(reverse).pipe(cmd`cat`);
+  
+  const actual = result.output;
+  const expected = "cba";
+  assert.equal(actual, expected);
+});
+
+test("an error in a JavaScript stage fails the pipeline", async () => {
+  async function* explode(source) {
+    for await (const chunk of source) {
+      throw new Error(`cannot handle ${chunk}`);
+    }
+  }
+  const pipeline = cmd`printf ${"x"}`.pipe(explode).pipe(cmd`cat`);
+  const error = await pipeline.catch(error => error);
+  
+  assert.ok(error instanceof ProcessError);
+  assert.equal(error.failedStage, 1);
+  
+  const actual = error.message;
+  const expected = "Pipeline stage 2 (explode) failed: cannot handle x";
+  assert.equal(actual, expected);
+});
+
+function withTempDirectory(callback) {
+  const directory = mkdtempSync(join(tmpdir(), "sh-cmd-tag-"));
+  const cleanUp = () => rmSync(directory, { recursive: true, force: true });
+  return Promise.resolve()
+    .then(() => callback(directory))
+    .finally(cleanUp);
+}
+
+test("cmd.to writes output to a file instead of the result", async () => {
+  await withTempDirectory(async (cwd) => {
+    const result = await cmd.to("out.txt")({ cwd })`echo hello`;
+    
+    assert.equal(result.output, "");
+    assert.equal(readFileSync(join(cwd, "out.txt"), "utf8"), "hello\n");
+  });
+});
+
+test("cmd.append adds output to a file and can still capture it", async () => {
+  await withTempDirectory(async (cwd) => {
+    writeFileSync(join(cwd, "log.txt"), "first\n");
+    const options = { cwd, capture: true };
+    const result = await cmd.append("log.txt")(options)`echo second`;
+    
+    assert.equal(result.output, "second\n");
+    const actual = readFileSync(join(cwd, "log.txt"), "utf8");
+    const expected = "first\nsecond\n";
+    assert.equal(actual, expected);
+  });
+});
+
+test("sh.debugTo writes stderr to a file", async () => {
+  await withTempDirectory(async (cwd) => {
+    const result = await sh.debugTo("errors.txt")({ cwd })`echo oops >&2`;
+    
+    assert.equal(result.debug, "");
+    assert.equal(readFileSync(join(cwd, "errors.txt"), "utf8"), "oops\n");
+  });
+});
+
+test("cmd.from reads input from a file", async () => {
+  await withTempDirectory(async (cwd) => {
+    writeFileSync(join(cwd, "names.txt"), "bob\nalice\n");
+    const result = await cmd.from("names.txt")({ cwd })`sort`;
+    
+    const actual = result.output;
+    const expected = "alice\nbob\n";
+    assert.equal(actual, expected);
+  });
+});
+
+test("cmd.sync redirects input and output files", async () => {
+  await withTempDirectory((cwd) => {
+    writeFileSync(join(cwd, "in.txt"), "b\na\n");
+    const options = { cwd, from: "in.txt", to: "out.txt" };
+    const result = cmd.sync(options)`sort`;
+    
+    assert.equal(result.output, "");
+    assert.equal(readFileSync(join(cwd, "out.txt"), "utf8"), "a\nb\n");
+  });
+});
+
+test("cmd.safe.from resolves with an error for a missing file", async () => {
+  await withTempDirectory(async (cwd) => {
+    const result = await cmd.safe.from("missing.txt")({ cwd })`cat`;
+    
+    assert.equal(result.ok, false);
+    assert.equal(result.error.code, "ENOENT");
+  });
+});
+
+test("sh with all interleaves output and debug in arrival order", async () => {
+  const result = await sh({ all: true })`
+    echo one; sleep 0.1; echo two >&2; sleep 0.1; echo three
+  `;
+  
+  assert.equal(result.output, "one\nthree\n");
+  assert.equal(result.all, "one\ntwo\nthree\n");
+  const actual = result.allChunks.map(({ stream, text }) => [stream, text]);
+  const expected = [
+    ["output", "one\n"],
+    ["debug", "two\n"],
+    ["output", "three\n"],
+  ];
+  assert.deepEqual(actual, expected);
+  assert.ok(result.allChunks.every(chunk => chunk.timestamp instanceof Date));
+});
+
+test("ProcessError includes interleaved output with all", async () => {
+  const error = await sh({ all: true })`echo out; echo err >&2; exit 2`
+    .catch(error => error);
+  
+  assert.ok(error instanceof ProcessError);
+  assert.equal(error.all.split("\n").sort().join(" "), " err out");
+});
+
+test("sh.sync rejects the all option", () => {
+  assert.throws(
+    () => sh.sync({ all: true })`echo test`,
+    /Interleaved output \(all: true\) is not supported in synchronous mode/,
+  );
+});
+
+test("cmd with buffer encoding keeps binary output intact", async () => {
+  const bytes = Buffer.from([0, 255, 1, 200, 10, 13]);
+  const result = await cmd({ input: bytes, encoding: "buffer" })`gzip -c`;
+  
+  assert.ok(Buffer.isBuffer(result.output));
+  assert.deepEqual(gunzipSync(result.output), bytes);
+});
+
+test("cmd.sync with buffer encoding accepts Uint8Array input", () => {
+  const bytes = new Uint8Array([0, 255, 1, 200, 10, 13]);
+  const result = cmd.sync({ input: bytes, encoding: "buffer" })`gzip -c`;
+  
+  assert.ok(Buffer.isBuffer(result.output));
+  assert.deepEqual(gunzipSync(result.output), Buffer.from(bytes));
+});
+
+test("sh decodes output and debug with the encoding option", async () => {
+  const result = await sh({ encoding: "hex" })`printf AB; printf C >&2`;
+  
+  assert.equal(result.output, "4142");
+  assert.equal(result.debug, "43");
+});
+
+test("sh.sync decodes output with the encoding option", () => {
+  const result = sh.sync({ encoding: "base64" })`printf hello`;
+  
+  const actual = result.output;
+  const expected = "aGVsbG8=";
+  assert.equal(actual, expected);
+});
+
+test("sh rejects an unknown encoding", () => {
+  assert.throws(
+    () => sh.sync({ encoding: "klingon" })`echo test`,
+    /Unknown encoding "klingon"/,
+  );
+});
+
+const countScript =
+  "for (let i = 0; i < 1000; i++) console.log(String(i).padStart(4, \"0\"))";
+
+test("sh kills a command whose output exceeds maxBuffer", async () => {
+  const options = { maxBuffer: 100 };
+  const error = await sh(options)`node -e ${countScript}`
+    .catch(error => error);
+  
+  assert.ok(error instanceof ProcessError);
+  assert.equal(error.code, "ENOBUFS");
+  assert.equal(error.message, "Command output exceeded maxBuffer of 100 bytes");
+  assert.equal(error.output.length, 100);
+  assert.equal(error.overflow.output.mode, "kill");
+});
+
+test("sh keeps the head or tail of output past maxBuffer", async () => {
+  const head = await sh({ maxBuffer: 10, overflow: "head" })`
+    node -e ${countScript}
+  `;
+  assert.equal(head.output, "0000\n0001\n");
+  assert.deepEqual(head.overflow, {
+    output: { mode: "head", totalBytes: 5000 },
+  });
+  
+  const tail = await sh({ maxBuffer: 10, overflow: "tail" })`
+    node -e ${countScript}
+  `;
+  assert.equal(tail.output, "0998\n0999\n");
+});
+
+test("sh spills output past maxBuffer to a temp file", async () => {
+  const result = await sh({ maxBuffer: 10, overflow: "spill" })`
+    node -e ${countScript}
+  `;
+  const { file } = result.overflow.output;
+  
+  try {
+    assert.equal(result.output, "0000\n0001\n");
+    assert.equal(readFileSync(file, "utf8").slice(0, 10), "0002\n0003\n");
+    assert.equal(result.output.length + statSync(file).size, 5000);
+  } finally {
+    rmSync(file, { force: true });
+  }
+});
+
+test("sh.sync fails when output exceeds maxBuffer", () => {
+  const error = captureError(() => {
+    sh.sync({ maxBuffer: 100 })`node -e ${countScript}`;
+  });
+  
+  assert.ok(error instanceof ProcessError);
+  assert.equal(error.code, "ENOBUFS");
+  assert.equal(error.output.length, 100);
+});
+
+test("sh writes arrays of lines to stdin", async () => {
+  const actual = await sh.input(["b", "a", "c"])`sort`;
+  
+  assert.equal(actual.output, "a\nb\nc\n");
+});
+
+test("sh writes async iterables to stdin with backpressure", async () => {
+  let produced = 0;
+  async function* lines() {
+    for (let i = 0; i < 100000; i++) {
+      produced++;
+      yield `line ${i}`;
+    }
+  }
+  
+  const actual = await sh({ input: lines() })`head -n 2`;
+  
+  assert.equal(actual.output, "line 0\nline 1\n");
+  assert.ok(produced < 100000);
+});
+
+test("sh writes Web ReadableStreams and mixed chunks to stdin", async () => {
+  const web = new Blob(["from the web"]).stream();
+  async function* chunks() {
+    yield "text";
+    yield Buffer.from("bytes");
+  }
+  
+  assert.equal((await sh({ input: web })`cat`).output, "from the web");
+  assert.equal((await sh({ input: chunks() })`cat`).output, "text\nbytes");
+});
+
+test("sh fails with the error of a failing input source", async () => {
+  async function* failing() {
+    yield "first";
+    throw new Error("source failed");
+  }
+  
+  const error = await sh({ input: failing() })`cat`.catch(error => error);
+  
+  assert.ok(error instanceof ProcessError);
+  assert.equal(error.message, "source failed");
+  assert.equal(error.output, "first\n");
+});
+
+test("sh.sync accepts iterables but not async sources", () => {
+  const actual = sh.sync.input(new Set(["x", "y"]))`cat`;
+  assert.equal(actual.output, "x\ny\n");
+  
+  async function* lines() {
+    yield "x";
+  }
+  assert.throws(
+    () => sh.sync({ input: lines() })`cat`,
+    /Streams are not supported in synchronous mode/,
+  );
+});
+
+test("sh forwards live output to Writables and callbacks", async () => {
+  const chunks = [];
+  const writable = new PassThrough();
+  writable.on("data", chunk => chunks.push(`writable: ${chunk}`));
+  
+  const result = await sh({
+    output: [writable, chunk => chunks.push(`callback: ${chunk}`)],
+    debug: chunk => chunks.push(`debug: ${chunk}`),
+  })`echo out; echo err >&2`;
+  
+  assert.equal(result.output, "out\n");
+  assert.equal(result.debug, "err\n");
+  assert.deepEqual(chunks.sort(), [
+    "callback: out\n",
+    "debug: err\n",
+    "writable: out\n",
+  ]);
+  assert.equal(writable.writableEnded, false);
+});
+
+test("sh forwards live output to Web WritableStreams", async () => {
+  const chunks = [];
+  const writable = new WritableStream({
+    write(chunk) {
+      chunks.push(Buffer.from(chunk).toString());
+    },
+  });
+  
+  await sh({ output: writable })`echo web`;
+  await new Promise(resolve => setImmediate(resolve));
+  
+  assert.deepEqual(chunks, ["web\n"]);
+});
+
+test("sh shares one Web WritableStream between commands", async () => {
+  const chunks = [];
+  const writable = new WritableStream({
+    write(chunk) {
+      chunks.push(Buffer.from(chunk).toString());
+    },
+  });
+  
+  await sh({ output: writable })`echo first`;
+  await sh({ output: writable })`echo second`;
+  await new Promise(resolve => setImmediate(resolve));
+  
+  assert.deepEqual(chunks, ["first\n", "second\n"]);
+  assert.equal(writable.locked, false);
+});
+
+test("sh keeps running when a Web WritableStream fails", async () => {
+  const writable = new WritableStream({
+    write() {
+      throw new Error("destination failed");
+    },
+  });
+  
+  const actual = await sh({ output: writable })`echo one; sleep 0.1; echo two`;
+  
+  assert.equal(actual.output, "one\ntwo\n");
+});
+
+test("sh keeps running when a Node.js Writable fails", async () => {
+  const writable = new Writable({
+    write(chunk, encoding, callback) {
+      callback(new Error("destination failed"));
+    },
+  });
+  
+  const actual = await sh({ output: writable })`echo one; sleep 0.1; echo two`;
+  
+  assert.equal(actual.output, "one\ntwo\n");
+  assert.equal(writable.destroyed, true);
+});
+
+test("sh rejects unsupported live output destinations", async () => {
+  await assert.rejects(
+    async () => sh({ output: 42 })`echo`,
+    /output must be a boolean, Writable, WritableStream, callback/,
+  );
+  assert.throws(
+    () => sh.sync({ debug: () => {} })`echo`,
+    /Forwarding output to a destination is not supported in synchronous mode/,
+  );
+});
+
+function runPrefixedScript(setup = "") {
+  const script = `
+    import { sh } from ${JSON.stringify(join(__dirname, "index.js"))};
+    ${setup}
+    await Promise.all([
+      sh({ prefix: "api", output: true })\`
+        printf 'one\\ntw'; sleep 0.2; echo o
+      \`,
+      sh({ prefix: "web", output: true })\`sleep 0.1; echo three\`,
+    ]);
+  `;
+  return cmd`node --input-type=module -e ${script}`;
+}
+
+test("sh labels every echoed line with prefix", async () => {
+  const actual = await runPrefixedScript();
+  
+  assert.equal(actual.output, "[api] one\n[web] three\n[api] two\n");
+});
+
+test("sh colors prefixes when the terminal supports it", async () => {
+  const setup = "process.stdout.hasColors = () => true;";
+  const actual = await runPrefixedScript(setup);
+  
+  assert.equal(actual.output, [
+    "\x1b[36m[api]\x1b[0m one\n",
+    "\x1b[35m[web]\x1b[0m three\n",
+    "\x1b[36m[api]\x1b[0m two\n",
+  ].join(""));
+});
+
+test("sh.verbose echoes the escaped command before running it", async () => {
+  const lines = [];
+  
+  await sh({ verbose: line => lines.push(line) })`echo ${"a b"} | cat`;
+  cmd.sync({ verbose: line => lines.push(line) })`echo ${"c d"}`;
+  
+  assert.deepEqual(lines, [
+    `$ echo 'a b' | cat # cwd: ${__dirname}`,
+    `$ echo 'c d' # cwd: ${__dirname}`,
+  ]);
+});
+
+test("sh.verbose writes to stderr", async () => {
+  const script = `
+    import { sh } from ${JSON.stringify(join(__dirname, "index.js"))};
+    await sh.verbose\`echo hi\`;
+  `;
+  
+  const actual = await cmd`node --input-type=module -e ${script}`;
+  
+  assert.equal(actual.output, "");
+  assert.equal(actual.debug, `$ echo hi # cwd: ${__dirname}\n`);
+});
+
+test("SH_CMD_VERBOSE turns on verbose mode for every command", async () => {
+  const script = `
+    import { cmd } from ${JSON.stringify(join(__dirname, "index.js"))};
+    await cmd\`echo on\`;
+    await cmd({ verbose: false })\`echo off\`;
+  `;
+  const env = { ...process.env, SH_CMD_VERBOSE: "1" };
+  const child = spawn(process.execPath, [
+    "--input-type=module",
+    "-e",
+    script,
+  ], { env });
+  let debug = "";
+  child.stderr.on("data", chunk => debug += chunk);
+  
+  await new Promise(resolve => child.on("close", resolve));
+  
+  assert.equal(debug, `$ echo on # cwd: ${__dirname}\n`);
+});
+
+test("sh merges env onto the parent environment", async () => {
+  const actual = await sh({ env: { GREETING: "hello" } })`
+    echo "$GREETING $HOME"
+  `;
+  
+  assert.equal(actual.output, `hello ${process.env.HOME}\n`);
+  assert.equal(process.env.GREETING, undefined);
+});
+
+test("sh.env() calls are merged and undefined unsets a variable", async () => {
+  const actual = await sh.env({ FIRST: "1", SECOND: "2" }).env({
+    SECOND: undefined,
+    HOME: undefined,
+  })`echo "[$FIRST] [$SECOND] [$HOME]"`;
+  
+  assert.equal(actual.output, "[1] [] []\n");
+});
+
+test("cmd with extendEnv: false passes only env and PATH/HOME", () => {
+  const actual = cmd.sync({ env: { ONLY: "me" }, extendEnv: false })`env`;
+  const names = actual.output.trim().split("\n")
+    .map(line => line.split("=")[0])
+    .sort();
+  
+  assert.deepEqual(names, ["HOME", "ONLY", "PATH"]);
+});
+
+test("sh.verbose shows env overrides in front of the command", async () => {
+  const lines = [];
+  const verbose = line => lines.push(line);
+  
+  await sh({ verbose, env: { MODE: "a b" } })`true`;
+  await sh({ verbose, env: { MODE: "x", HOME: undefined } })`true`;
+  
+  assert.deepEqual(lines, [
+    `$ MODE='a b' true # cwd: ${__dirname}`,
+    `$ env -u HOME MODE=x true # cwd: ${__dirname}`,
+  ]);
+});
+
+test("sh loads dotenv files from the working directory", async () => {
+  await withTempDirectory(async (cwd) => {
+    writeFileSync(join(cwd, ".env"), [
+      "# Shared settings",
+      "export NAME=alice  # the user",
+      "GREETING=\"hello ${NAME}\\nwelcome\"",
+      "LITERAL='${NAME} stays'",
+      "HOME_DIR=${HOME}/app",
+      "MODE=development",
+    ].join("\n"));
+    writeFileSync(join(cwd, ".env.local"), "MODE=test\nTAG=${MODE}-${NAME}\n");
+    
+    const result = await sh({
+      cwd,
+      envFile: [".env", ".env.local"],
+      env: { NAME: "override" },
+    })`printf '%s|' "$NAME" "$GREETING" "$LITERAL" "$HOME_DIR" "$MODE" "$TAG"`;
+    
+    assert.deepEqual(result.output.split("|"), [
+      "override",
+      "hello alice\nwelcome",
+      "${NAME} stays",
+      `${process.env.HOME}/app`,
+      "test",
+      "test-alice",
+      "",
+    ]);
+    assert.equal(process.env.GREETING, undefined);
+  });
+});
+
+test("sh fails with a ProcessError when an envFile is missing", async () => {
+  const error = await sh({ envFile: "missing.env" })`true`.catch(e => e);
+  
+  assert.ok(error instanceof ProcessError);
+  assert.equal(error.code, "ENOENT");
+  
+  const result = cmd.sync.safe({ envFile: "missing.env" })`true`;
+  assert.equal(result.ok, false);
+});
+
+test("sh.within sets defaults for commands in its callback", async () => {
+  await withTempDirectory(async (directory) => {
+    async function nested() {
+      await new Promise(resolve => setTimeout(resolve, 10));
+      return sh`pwd; echo "$SCOPE"`;
+    }
+    
+    const defaults = { cwd: directory, env: { SCOPE: "a" } };
+    const actual = await sh.within(defaults, () => {
+      return Promise.all([
+        nested(),
+        new Process("pwd"),
+        cmd.sync`pwd`,
+      ]);
+    });
+    
+    assert.deepEqual(actual.map(result => result.output), [
+      `${directory}\na\n`,
+      `${directory}\n`,
+      `${directory}\n`,
+    ]);
+    assert.equal((await sh`pwd`).output, `${__dirname}\n`);
+  });
+});
+
+test("sh.within defaults lose to per-call options and nest", async () => {
+  const actual = await sh.within({ env: { A: "1", B: "1" } }, () => {
+    return sh.within({ env: { B: "2" }, cwd: "/" }, () => {
+      return sh({ env: { C: "3" }, cwd: tmpdir() })`pwd; echo $A$B$C`;
+    });
+  });
+  
+  assert.equal(actual.output, `${tmpdir()}\n123\n`);
+});
+
+test("sh.within resolves a relative per-call cwd against its own", async () => {
+  await withTempDirectory(async (directory) => {
+    mkdirSync(join(directory, "packages", "api"), { recursive: true });
+    mkdirSync(join(directory, "packages", "web"));
+    
+    const actual = await sh.within({ cwd: directory }, () => {
+      return sh.within({ cwd: "packages/api" }, () => {
+        return Promise.all([
+          sh`pwd`,
+          sh({ cwd: "../web" })`pwd`,
+          sh({ cwd: tmpdir() })`pwd`,
+        ]);
+      });
+    });
+    
+    assert.deepEqual(actual.map(result => result.output), [
+      `${join(directory, "packages", "api")}\n`,
+      `${join(directory, "packages", "web")}\n`,
+      `${tmpdir()}\n`,
+    ]);
+  });
+});
+
+function runScriptIn(directory, filename, source) {
+  const indexUrl = JSON.stringify(new URL("./index.js", import.meta.url).href);
+  writeFileSync(join(directory, filename), source.replace("INDEX", indexUrl));
+  return cmd({ cwd: tmpdir() })`node ${join(directory, filename)}`;
+}
+
+test("sh runs in the directory of the calling module", async () => {
+  await withTempDirectory(async (directory) => {
+    const esm = await runScriptIn(directory, "esm.mjs", `
+      import { sh } from INDEX;
+      process.stdout.write((await sh\`pwd\`).output);
+    `);
+    const commonjs = await runScriptIn(directory, "commonjs.cjs", `
+      import(INDEX).then(async ({ sh }) => {
+        process.stdout.write((await sh\`pwd\`).output);
+      });
+    `);
+    
+    assert.equal(esm.output, `${directory}\n`);
+    assert.equal(commonjs.output, `${directory}\n`);
+  });
+});
+
+test("sh picks the working directory with cwdMode", async () => {
+  const moduleUrl = new URL("file:///usr/lib/example.js");
+  
+  const processMode = await sh({ cwdMode: "process" })`pwd`;
+  const moduleMode = await sh({ cwdMode: "module", moduleUrl })`pwd`;
+  
+  assert.equal(processMode.output, `${process.cwd()}\n`);
+  assert.equal(moduleMode.output, "/usr/lib\n");
+  await assert.rejects(
+    async () => sh({ cwdMode: "module" })`pwd`,
+    /cwdMode "module" needs a moduleUrl/,
+  );
+});
+
+test("setDefaultCwdMode changes the package-wide default", async () => {
+  await withTempDirectory(async (directory) => {
+    const actual = await runScriptIn(directory, "default.mjs", `
+      import { sh, setDefaultCwdMode } from INDEX;
+      setDefaultCwdMode("process");
+      process.stdout.write((await sh\`pwd\`).output);
+    `);
+    
+    assert.equal(actual.output, `${tmpdir()}\n`);
+  });
+});
+
+test("sh.session keeps shell state between commands", async () => {
+  const session = sh.session({ cwd: tmpdir() });
+  try {
+    await session.run`cd / && export GREETING=${"hello there"}`;
+    await session.run`greet() { echo "$GREETING, $1"; }`;
+    
+    const actual = await session.run`pwd; greet you; echo oops >&2`;
+    
+    assert.equal(actual.output, "/\nhello there, you\n");
+    assert.equal(actual.debug, "oops\n");
+    assert.equal(actual.exitCode, 0);
+    assert.equal(actual.cwd, "/");
+  } finally {
+    await session.close();
+  }
+  assert.equal(session.closed, true);
+});
+
+test("sh.session reports failures without ending the shell", async () => {
+  const session = sh.session({ cwd: tmpdir() });
+  try {
+    const failed = await session.run`printf partial; (exit 3)`
+      .catch(error => error);
+    const syntaxError = await session.run`echo (`.catch(error => error);
+    const [first, second] = await Promise.all([
+      session.run`echo first`,
+      session.run`echo second`,
+    ]);
+    
+    assert.ok(failed instanceof ProcessError);
+    assert.equal(failed.exitCode, 3);
+    assert.equal(failed.output, "partial");
+    assert.equal(syntaxError.exitCode, 2);
+    assert.equal(first.output, "first\n");
+    assert.equal(second.output, "second\n");
+  } finally {
+    await session.close();
+  }
+});
+
+test("sh.session keeps working after a command redirects output", async () => {
+  const dir = mkdtempSync(join(tmpdir(), "sh-session-"));
+  const session = sh.session({ cwd: dir });
+  try {
+    const quiet = await session.run`
+      exec 2>/dev/null; echo shown; echo hidden >&2
+    `;
+    const logged = await session.run`exec >log 2>&1; echo one; echo two >&2`;
+    const failed = await session.run`(exit 5)`.catch(error => error);
+    
+    assert.deepEqual([quiet.output, quiet.debug], ["shown\n", ""]);
+    assert.deepEqual([logged.output, logged.debug], ["", ""]);
+    assert.equal(failed.exitCode, 5);
+    assert.equal(readFileSync(join(dir, "log"), "utf8"), "one\ntwo\n");
+  } finally {
+    await session.close();
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("sh.session ends when its shell exits", async () => {
+  const session = sh.session({ throw: false });
+  
+  const result = await session.run`exit 4`;
+  
+  assert.equal(result.ok, false);
+  assert.equal(result.exitCode, 4);
+  assert.equal(session.closed, true);
+  const closed = await session.run`echo`;
+  assert.equal(closed.ok, false);
+  assert.equal(closed.error.code, "SESSION_CLOSED");
+});
+
+test("sh.session rejects failures before running a command", async () => {
+  const session = sh.session();
+  try {
+    const unsafe = session.run`echo # ${"comment"}`;
+    
+    await assert.rejects(unsafe, { code: "UNSAFE_INTERPOLATION" });
+    assert.equal((await session.run`echo still open`).output, "still open\n");
+  } finally {
+    await session.close();
+  }
+  await assert.rejects(session.run`echo`, {
+    name: "ProcessError",
+    code: "SESSION_CLOSED",
+  });
+});
+
+test("sh.session closes with Symbol.asyncDispose", async () => {
+  const session = sh.session();
+  await session.run`true`;
+  
+  await session[Symbol.asyncDispose]();
+  
+  assert.equal(session.closed, true);
+});
+
+test("cmd reports arguments spawn() rejects as a ProcessError", async () => {
+  const result = await cmd.safe`echo ${"a\0b"}`;
+  const error = await cmd`echo ${"a\0b"}`.catch(error => error);
+  
+  assert.equal(result.ok, false);
+  assert.equal(result.error.code, "ERR_INVALID_ARG_VALUE");
+  assert.ok(error instanceof ProcessError);
+});
+
+test("cmd.sync.from keeps binary input intact", async () => {
+  await withTempDirectory((cwd) => {
+    const bytes = Buffer.from([0xff, 0x00, 0xfe, 0x80]);
+    writeFileSync(join(cwd, "input.bin"), bytes);
+    
+    const result = cmd.sync.from("input.bin")({ cwd, encoding: "buffer" })`cat`;
+    
+    assert.deepEqual(result.output, bytes);
+  });
+});
+
+test("sh.stream can be awaited without iterating", async () => {
+  const result = await sh.stream`head -c 1000000 /dev/zero`;
+  
+  assert.equal(result.ok, true);
+  assert.equal(result.output, "");
+});
+
+test("sh falls back to process.cwd() without a calling file", async () => {
+  const script = `
+    const { sh } = await import(${JSON.stringify(join(__dirname, "index.js"))});
+    process.stdout.write((await sh\`pwd\`).output);
+  `;
+  
+  const actual = await cmd({ cwd: tmpdir() })`
+    node --input-type=module -e ${script}
+  `;
+  
+  assert.equal(actual.output, `${tmpdir()}\n`);
+});
+
+test("a per-call cwdMode wins over a cwd from sh.within", async () => {
+  const actual = await sh.within({ cwd: "/" }, () => {
+    return sh({ cwdMode: "process" })`pwd`;
+  });
+  
+  assert.equal(actual.output, `${process.cwd()}\n`);
 });